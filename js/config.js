@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Configuration: settings, selectors and validation schema
+ * @module config
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Application configuration object
+ * @type {Object}
+ */
+export const CONFIG = {
+    scrollThreshold: 50,
+    scrollSpy: {
+        // Band 20% below the top of the viewport that marks the current section
+        rootMargin: '-20% 0px -79% 0px'
+    },
+    animationThreshold: 0.15,
+    sliderAutoplayDelay: 5000,
+    sliderLoop: false,
+    i18n: {
+        defaultLocale: 'es-MX',
+        supported: ['es-MX', 'en-US'],
+        storageKey: 'lumina-locale'
+    },
+    theme: {
+        // Must match the inline script in <head>
+        storageKey: 'lumina-theme',
+        // Palettes defined in styles.css; campaign palettes are enabled
+        // with `data-campaign="<name>"` on <html>
+        themes: ['light', 'dark', 'holiday'],
+        // Browser UI color (`theme-color` meta) per theme
+        colors: {
+            light: '#ffffff',
+            dark: '#161f33',
+            holiday: '#fdf7f5'
+        }
+    },
+    notifications: {
+        // Auto-dismiss delay by severity in ms (0 keeps the toast open)
+        duration: {
+            info: 5000,
+            success: 5000,
+            warning: 8000,
+            error: 0
+        },
+        maxVisible: 3
+    },
+    submission: {
+        endpoint: '/api/contact',
+        transport: 'json',
+        fallback: ['outbox', 'mailto'],
+        timeout: 10000,
+        retries: 2,
+        retryDelay: 1000,
+        mailto: 'citas@luminaesthetic.mx'
+    },
+    consent: {
+        storageKey: 'lumina-consent',
+        // Bump to ask every visitor again after a policy change
+        version: 1,
+        maxAge: 365 * 24 * 60 * 60 * 1000,
+        categories: ['necessary', 'analytics', 'marketing']
+    },
+    analytics: {
+        // Sinks events are sent to once the visitor consents
+        sinks: ['dataLayer', 'beacon'],
+        endpoint: '/api/events',
+        // Hosts that also log events to the console
+        devHosts: ['localhost', '127.0.0.1'],
+        // Events kept while waiting for consent
+        queueLimit: 50,
+        sectionThreshold: 0.5
+    },
+    outbox: {
+        storageKey: 'lumina-outbox',
+        maxAge: 7 * 24 * 60 * 60 * 1000,
+        retryInterval: 60000
+    },
+    contactDraft: {
+        storageKey: 'lumina-contact-draft',
+        // Drafts hold personal data: kept one day at most
+        maxAge: 24 * 60 * 60 * 1000,
+        // Autosave delay after the last keystroke, in ms
+        delay: 500,
+        // Fields never stored (consent must be given on each submission)
+        exclude: ['privacy']
+    },
+    spam: {
+        // Hidden field only bots fill in
+        honeypot: 'website',
+        // Submissions sooner than this after the form loads are bots, in ms
+        minFillTime: 3000,
+        // Sends allowed per browser within the window
+        rateLimit: {
+            storageKey: 'lumina-contact-sends',
+            max: 3,
+            window: 60 * 60 * 1000
+        },
+        // SHA-256 token with `difficulty` leading zero bits, sent as `field`
+        proofOfWork: {
+            enabled: true,
+            difficulty: 14,
+            field: '_pow'
+        }
+    },
+    business: {
+        type: 'BeautySalon',
+        id: 'https://luminaesthetic.com/#business',
+        name: 'Lumina Aesthetic',
+        description: 'Centro de medicina estética en Polanco: tratamientos faciales, toxina botulínica, rellenos y depilación láser.',
+        url: 'https://luminaesthetic.com',
+        phone: '+5215541892634',
+        phoneDisplay: '55 4189 2634',
+        whatsapp: '5215541892634',
+        email: 'citas@luminaesthetic.mx',
+        priceRange: '$$$',
+        address: {
+            street: 'Av. Presidente Masaryk 210, Int. 403',
+            neighborhood: 'Polanco V Sección',
+            postalCode: '11560',
+            locality: 'Ciudad de México',
+            region: 'CDMX',
+            country: 'MX'
+        }
+    },
+    // Opening hours, also published by BusinessProfile
+    schedule: {
+        timezone: 'America/Mexico_City',
+        // Opening hours by weekday (0 = Sunday), null when closed
+        hours: [
+            null,
+            ['10:00', '19:00'],
+            ['10:00', '19:00'],
+            ['10:00', '19:00'],
+            ['10:00', '19:00'],
+            ['10:00', '19:00'],
+            ['10:00', '14:00']
+        ],
+        // Date overrides (YYYY-MM-DD): null closes the day, [open, close] changes its hours
+        exceptions: {
+            '2026-11-16': null,
+            '2026-12-24': ['10:00', '14:00'],
+            '2026-12-25': null,
+            '2026-12-31': ['10:00', '14:00'],
+            '2027-01-01': null,
+            '2027-02-01': null,
+            '2027-03-15': null
+        },
+        // Closed periods, inclusive: { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
+        closures: []
+    },
+    services: {
+        catalogUrl: 'data/services.json'
+    },
+    // Quote rules for the estimator; base prices come from the catalog
+    estimator: {
+        // Sessions selectable per treatment
+        maxSessions: 12,
+        // Session packages by service id: from `sessions` sessions on,
+        // `discount` applies to the whole treatment (the best tier wins)
+        packages: {
+            laser: [
+                { sessions: 6, discount: 0.2 }
+            ]
+        },
+        // Monthly installments offered from `minTotal`; `rate` is the
+        // interest over the whole amount (0 = interest-free)
+        installments: [
+            { months: 3, minTotal: 1500, rate: 0 },
+            { months: 6, minTotal: 3000, rate: 0 },
+            { months: 12, minTotal: 6000, rate: 0 }
+        ]
+    },
+    // Legal documents by hash route; `title` is an I18n key
+    legal: {
+        documents: {
+            privacidad: { url: 'legal/privacidad.md', title: 'legal.privacy' },
+            terminos: { url: 'legal/terminos.md', title: 'legal.terms' },
+            cookies: { url: 'legal/cookies.md', title: 'legal.cookies' }
+        }
+    },
+    testimonials: {
+        feedUrl: 'data/testimonials.json'
+    },
+    booking: {
+        // 'http' books through the clinic API. 'local' is a dev/demo
+        // provider (mockUrl + localStorage): its reservations never reach
+        // the clinic and are not reported as confirmed.
+        provider: 'http',
+        endpoint: '/api/booking',
+        mockUrl: 'data/availability.json',
+        storageKey: 'lumina-bookings',
+        slotInterval: 30,
+        defaultDuration: 60,
+        minNotice: 120,
+        maxDaysAhead: 60
+    }
+};
+
+/**
+ * DOM element selectors
+ * @type {Object}
+ */
+export const SELECTORS = {
+    header: '#header',
+    nav: '#nav',
+    navToggle: '#nav-toggle',
+    navLinks: '.nav__link',
+    testimonialSlider: '#testimonials-slider',
+    testimonialTrack: '.testimonials__track',
+    testimonialCards: '.testimonial-card',
+    testimonialCardTemplate: '#testimonial-card-template',
+    testimonialFilters: '#testimonials-filters',
+    testimonialSummary: '#testimonials-summary',
+    testimonialPrev: '#testimonials-prev',
+    testimonialNext: '#testimonials-next',
+    testimonialDotsContainer: '#testimonials-dots',
+    testimonialRotation: '#testimonials-rotation',
+    contactForm: '#contact-form',
+    formSuccess: '#form-success',
+    formSuccessTitle: '.contact-form__success-title',
+    formSuccessText: '.contact-form__success-text',
+    servicesGrid: '#services-grid',
+    serviceCardTemplate: '#service-card-template',
+    contactService: '#contact-service',
+    footerServices: '#footer-services',
+    estimator: '#presupuesto',
+    estimatorServices: '#estimator-services',
+    estimatorTemplate: '#estimator-service-template',
+    estimatorEmpty: '#estimator-empty',
+    estimatorLines: '#estimator-lines',
+    estimatorTotals: '#estimator-totals',
+    estimatorSubtotal: '#estimator-subtotal',
+    estimatorDiscount: '#estimator-discount',
+    estimatorTotal: '#estimator-total',
+    estimatorInstallments: '#estimator-installments',
+    estimatorAttach: '#estimator-attach',
+    bookingForm: '#booking-form',
+    bookingService: '#booking-service',
+    bookingDate: '#booking-date',
+    bookingSlots: '#booking-slots',
+    bookingSlotsStatus: '#booking-slots-status',
+    bookingConfirmation: '#booking-confirmation',
+    animatedElements: '[data-animate]',
+    currentYear: '#current-year',
+    localeButtons: '[data-locale]',
+    themeToggle: '#theme-toggle',
+    themeColor: 'meta[name="theme-color"]',
+    notifications: '#notifications',
+    businessStatus: '[data-business-status]',
+    whatsappHint: '#whatsapp-hint',
+    whatsappLinks: '[data-whatsapp]',
+    contactWhatsApp: '#contact-whatsapp',
+    contactDraft: '#contact-draft',
+    contactDraftText: '#contact-draft-text',
+    analyticsCta: '.btn, .service-card__link',
+    sections: 'main section[id]',
+    consent: '#consent',
+    consentPreferences: '#consent-preferences',
+    consentOpen: '[data-consent-open]',
+    legalDialog: '#legal-dialog',
+    legalTitle: '#legal-title',
+    legalContent: '#legal-content'
+};
+
+/**
+ * Contact form validation rules, keyed by field name. Messages are
+ * I18n keys. Fields may also declare rules through `data-validate-*`
+ * attributes.
+ * @type {Object<string, Object[]>}
+ */
+export const VALIDATION_SCHEMA = {
+    name: [
+        { rule: 'required', message: 'validation.name.required' },
+        { rule: 'minLength', value: 2, message: 'validation.name.minLength' },
+        { rule: 'maxLength', value: 100 }
+    ],
+    email: [
+        { rule: 'required', message: 'validation.email.required' },
+        { rule: 'email' }
+    ],
+    phone: [
+        { rule: 'phone', message: 'validation.phone.format' }
+    ],
+    service: [
+        { rule: 'required', message: 'validation.service.required' }
+    ],
+    message: [
+        { rule: 'maxLength', value: 2000, message: 'validation.message.maxLength' }
+    ],
+    privacy: [
+        { rule: 'required', message: 'validation.privacy.required' }
+    ]
+};
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Application event bus for integrations
+ * @module core/events
+ */
+
+// ============================================================================
+// EVENT BUS MODULE
+// ============================================================================
+
+/**
+ * Application-wide publish/subscribe channel. Modules emit namespaced
+ * events (`form:submitted`, `route:changed`, ...) and integrations listen
+ * through `LuminaApp.on()`. Subscriptions outlive `destroy()`/`init()`
+ * cycles: they belong to the embedding page, not to a module.
+ * @namespace Events
+ */
+export const Events = {
+    /** @type {Map<string, Set<Function>>} Handlers by event type */
+    handlers: new Map(),
+
+    /**
+     * Subscribe to an event
+     * @param {string} type - Event type, e.g. 'form:submitted'
+     * @param {Function} handler - Called with (detail, type)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Unsubscribes on abort
+     * @returns {Function} Unsubscribe
+     */
+    on(type, handler, { signal } = {}) {
+        const off = () => this.off(type, handler);
+        if (signal && signal.aborted) return off;
+
+        if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+        this.handlers.get(type).add(handler);
+
+        if (signal) signal.addEventListener('abort', off, { once: true });
+        return off;
+    },
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} type - Event type
+     * @param {Function} handler - Called with (detail, type)
+     * @param {Object} [options] - See `on()`
+     * @returns {Function} Unsubscribe
+     */
+    once(type, handler, options) {
+        const wrapper = (detail, eventType) => {
+            off();
+            handler(detail, eventType);
+        };
+        const off = this.on(type, wrapper, options);
+        return off;
+    },
+
+    /**
+     * Remove a handler
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler passed to `on()`
+     */
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+
+        handlers.delete(handler);
+        if (handlers.size === 0) this.handlers.delete(type);
+    },
+
+    /**
+     * Publish an event. A failing handler is logged and does not stop
+     * the others (or the module that emitted).
+     * @param {string} type - Event type
+     * @param {Object} [detail={}] - Event payload
+     */
+    emit(type, detail = {}) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+
+        [...handlers].forEach(handler => {
+            try {
+                handler(detail, type);
+            } catch (error) {
+                console.error(`Event handler for "${type}" failed:`, error);
+            }
+        });
+    }
+};
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Body scroll lock shared by overlays
+ * @module core/scroll-lock
+ */
+
+// ============================================================================
+// SCROLL LOCK
+// ============================================================================
+
+/**
+ * Body scroll lock shared by overlays (mobile menu, dialogs). The page
+ * scrolls again once every owner has released it.
+ * @namespace ScrollLock
+ */
+export const ScrollLock = {
+    /** @type {Set<string>} */
+    owners: new Set(),
+
+    /**
+     * Stop the page from scrolling
+     * @param {string} owner - Name of the overlay taking the lock
+     */
+    lock(owner) {
+        this.owners.add(owner);
+        document.body.style.overflow = 'hidden';
+    },
+
+    /**
+     * Release an owner's lock
+     * @param {string} owner - Name of the overlay releasing the lock
+     */
+    unlock(owner) {
+        this.owners.delete(owner);
+        if (this.owners.size === 0) document.body.style.overflow = '';
+    }
+};
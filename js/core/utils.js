@@ -0,0 +1,80 @@
+/**
+ * @fileoverview DOM and subscription helpers
+ * @module core/utils
+ */
+
+import { debounce, throttle } from '../lib/timing.js';
+import { isValidEmail, isValidPhone } from '../lib/validation.js';
+import { toMinutes, fromMinutes, getZonedParts, getWeekday, addDays } from '../lib/dates.js';
+
+// ============================================================================
+// UTILITIES MODULE
+// ============================================================================
+
+/**
+ * Utility functions module. The pure helpers live in `lib/` and are
+ * re-exported here so modules need a single import.
+ * @namespace Utils
+ */
+export const Utils = {
+    debounce,
+    throttle,
+    isValidEmail,
+    isValidPhone,
+    toMinutes,
+    fromMinutes,
+    getZonedParts,
+    getWeekday,
+    addDays,
+
+    /**
+     * Check if element is in viewport
+     * @param {HTMLElement} element - Element to check
+     * @param {number} threshold - Visibility threshold (0-1)
+     * @returns {boolean} Whether element is visible
+     */
+    isInViewport(element, threshold = 0) {
+        const rect = element.getBoundingClientRect();
+        const windowHeight = window.innerHeight || document.documentElement.clientHeight;
+        return rect.top <= windowHeight * (1 - threshold);
+    },
+
+    /**
+     * Get all elements matching a selector
+     * @param {string} selector - CSS selector
+     * @param {HTMLElement} [context=document] - Context element
+     * @returns {HTMLElement[]} Array of elements
+     */
+    getElements(selector, context = document) {
+        return Array.from(context.querySelectorAll(selector));
+    },
+
+    /**
+     * Get single element matching a selector
+     * @param {string} selector - CSS selector
+     * @param {HTMLElement} [context=document] - Context element
+     * @returns {HTMLElement|null} Element or null
+     */
+    getElement(selector, context = document) {
+        return context.querySelector(selector);
+    },
+
+    /**
+     * Add a callback to a listener list, removing it again when the
+     * signal aborts (so a module's subscriptions end with the module)
+     * @param {Function[]} list - Listener list (mutated in place)
+     * @param {Function} callback - Listener
+     * @param {AbortSignal} [signal] - Unsubscribes on abort
+     */
+    subscribe(list, callback, signal) {
+        if (signal && signal.aborted) return;
+
+        list.push(callback);
+        if (!signal) return;
+
+        signal.addEventListener('abort', () => {
+            const index = list.indexOf(callback);
+            if (index !== -1) list.splice(index, 1);
+        }, { once: true });
+    }
+};
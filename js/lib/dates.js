@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Calendar and time-of-day helpers on ISO strings
+ * @module lib/dates
+ */
+
+/**
+ * Convert 'HH:MM' to minutes from midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes
+ */
+export function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes from midnight to 'HH:MM'
+ * @param {number} minutes - Minutes
+ * @returns {string} Time string
+ */
+export function fromMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Weekday of an ISO date (0 = Sunday)
+ * @param {string} isoDate - Date (YYYY-MM-DD)
+ * @returns {number} Weekday
+ */
+export function getWeekday(isoDate) {
+    return new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Add days to an ISO date
+ * @param {string} isoDate - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add
+ * @returns {string} Resulting ISO date
+ */
+export function addDays(isoDate, days) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the calendar date and time of day of an instant in a timezone,
+ * independent of the visitor's own timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {{date: string, minutes: number, weekday: number}} ISO date,
+ *     minutes from midnight and weekday (0 = Sunday)
+ */
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    const isoDate = `${parts.year}-${parts.month}-${parts.day}`;
+    return {
+        date: isoDate,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+        weekday: getWeekday(isoDate)
+    };
+}
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Treatment quotes: session packages, totals and monthly
+ * installments (no DOM). Prices come from the catalog and rules from
+ * CONFIG.estimator; amounts are in the catalog currency, rounded to
+ * whole units.
+ * @module lib/pricing
+ */
+
+/**
+ * Best package for a number of sessions
+ * @param {Object[]} [packages=[]] - Tiers: { sessions, discount }
+ * @param {number} sessions - Sessions booked
+ * @returns {Object|null} Tier with the largest discount reached, if any
+ */
+export function getPackage(packages = [], sessions) {
+    return packages
+        .filter(tier => sessions >= tier.sessions)
+        .reduce((best, tier) => (!best || tier.discount > best.discount ? tier : best), null);
+}
+
+/**
+ * Price one treatment: the chosen areas for every session, less its
+ * package discount
+ * @param {Object} item - { id, name, areas: [{ name, price }], sessions }
+ * @param {Object} rules - Pricing rules (see CONFIG.estimator)
+ * @returns {Object} The item plus perSession, subtotal, package, discount and total
+ */
+export function priceItem(item, rules) {
+    const perSession = item.areas.reduce((sum, area) => sum + area.price, 0);
+    const subtotal = perSession * item.sessions;
+    const tier = getPackage((rules.packages || {})[item.id], item.sessions);
+    const discount = tier ? Math.round(subtotal * tier.discount) : 0;
+
+    return { ...item, perSession, subtotal, package: tier, discount, total: subtotal - discount };
+}
+
+/**
+ * Installment plans available for a total. Payments are whole units
+ * and add up to the financed total exactly: the last one takes the
+ * remainder, so it can be larger than the rest.
+ * @param {number} total - Amount to pay
+ * @param {Object[]} [plans=[]] - Plans: { months, minTotal, rate }, where
+ *     `rate` is the interest over the whole amount (0 = interest-free)
+ * @returns {Object[]} { months, rate, total, monthly, last } per available plan
+ */
+export function getInstallments(total, plans = []) {
+    return plans
+        .filter(plan => total > 0 && total >= (plan.minTotal || 0))
+        .map(plan => {
+            const rate = plan.rate || 0;
+            const financed = Math.round(total * (1 + rate));
+            const monthly = Math.floor(financed / plan.months);
+            const last = financed - monthly * (plan.months - 1);
+            return { months: plan.months, rate, total: financed, monthly, last };
+        });
+}
+
+/**
+ * Quote a selection of treatments. Treatments without areas or sessions
+ * are left out.
+ * @param {Object[]} items - { id, name, areas: [{ name, price }], sessions }
+ * @param {Object} rules - Pricing rules (see CONFIG.estimator)
+ * @returns {{lines: Object[], subtotal: number, discount: number, total: number, installments: Object[]}}
+ */
+export function calculateQuote(items, rules) {
+    const lines = items
+        .filter(item => item.areas.length > 0 && item.sessions > 0)
+        .map(item => priceItem(item, rules));
+    const sum = key => lines.reduce((total, line) => total + line[key], 0);
+    const total = sum('total');
+
+    return {
+        lines,
+        subtotal: sum('subtotal'),
+        discount: sum('discount'),
+        total,
+        installments: getInstallments(total, rules.installments)
+    };
+}
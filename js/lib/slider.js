@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Page and track-position math for the testimonials carousel
+ * (no DOM). Cards are indexed 0..total-1; a page shows `visible` cards. In
+ * loop mode clones surround the real cards, so positions may run past
+ * either end.
+ * @module lib/slider
+ */
+
+/**
+ * Cards per page for a viewport width (matches the CSS breakpoints)
+ * @param {number} width - Viewport width in px
+ * @returns {number}
+ */
+export function getVisibleSlides(width) {
+    if (width >= 1024) return 3;
+    if (width >= 768) return 2;
+    return 1;
+}
+
+/**
+ * Number of pages
+ * @param {number} total - Number of cards
+ * @param {number} visible - Cards per page
+ * @returns {number}
+ */
+export function getPageCount(total, visible) {
+    return Math.max(1, Math.ceil(total / visible));
+}
+
+/**
+ * Index of the first card shown on a page. Without looping the last page
+ * is aligned to the end so it never shows blank space.
+ * @param {number} page - Page index
+ * @param {number} total - Number of cards
+ * @param {number} visible - Cards per page
+ * @param {boolean} [loop=false] - Whether clones surround the cards
+ * @returns {number}
+ */
+export function getPageStart(page, total, visible, loop = false) {
+    const start = page * visible;
+    return loop ? start : Math.max(0, Math.min(start, total - visible));
+}
+
+/**
+ * Indexes of the cards shown on a page (wrapping in loop mode)
+ * @param {number} page - Page index
+ * @param {number} total - Number of cards
+ * @param {number} visible - Cards per page
+ * @param {boolean} [loop=false] - Whether clones surround the cards
+ * @returns {number[]}
+ */
+export function getPageCards(page, total, visible, loop = false) {
+    const start = getPageStart(page, total, visible, loop);
+    return Array.from({ length: Math.min(visible, total) }, (_, i) => (start + i) % total);
+}
+
+/**
+ * Resolve a requested page (possibly out of range) to the page to show
+ * and the track position to move to. Out-of-range pages wrap around; in
+ * loop mode the position continues onto the clones and differs from the
+ * page start until the track settles back on the real cards.
+ * @param {number} page - Requested page index
+ * @param {number} total - Number of cards
+ * @param {number} visible - Cards per page
+ * @param {boolean} [loop=false] - Whether clones surround the cards
+ * @returns {{page: number, start: number, position: number}}
+ */
+export function resolvePage(page, total, visible, loop = false) {
+    const count = getPageCount(total, visible);
+    const target = ((page % count) + count) % count;
+    const start = getPageStart(target, total, visible, loop);
+    let position = start;
+
+    if (loop && page >= count) {
+        position = total;
+    } else if (loop && page < 0) {
+        position = start - total;
+    }
+
+    return { page: target, start, position };
+}
+
+/**
+ * Page containing a card
+ * @param {number} index - Card index
+ * @param {number} visible - Cards per page
+ * @returns {number}
+ */
+export function getPageOf(index, visible) {
+    return Math.floor(index / visible);
+}
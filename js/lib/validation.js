@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Format checks and built-in validation rules (no DOM)
+ * @module lib/validation
+ */
+
+/**
+ * Validate email format
+ * @param {string} email - Email to validate
+ * @returns {boolean} Whether email is valid
+ */
+export function isValidEmail(email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+}
+
+/**
+ * Validate phone format. Accepts Mexican numbers with or without
+ * country code (55 1234 5678, +52 55 1234 5678, +52 1 55 1234 5678)
+ * and international E.164 numbers (+44 20 7946 0958).
+ * @param {string} phone - Phone to validate
+ * @returns {boolean} Whether phone is valid
+ */
+export function isValidPhone(phone) {
+    const digits = phone.replace(/[\s().-]/g, '');
+    const mexicoRegex = /^(?:\+?52)?1?\d{10}$/;
+    const internationalRegex = /^\+[1-9]\d{7,14}$/;
+    return mexicoRegex.test(digits) || internationalRegex.test(digits);
+}
+
+/**
+ * Built-in rules. Each receives `(value, param, field)` with the trimmed
+ * value and returns `true` when valid, `false` to use the rule's message,
+ * or a string message of its own.
+ * @type {Object<string, Function>}
+ */
+export const rules = {
+    required: value => value.length > 0,
+    minLength: (value, length) => value.length >= Number(length),
+    maxLength: (value, length) => value.length <= Number(length),
+    pattern: (value, pattern) => {
+        const regex = pattern instanceof RegExp ? pattern : new RegExp(`^(?:${pattern})$`);
+        return regex.test(value);
+    },
+    email: value => isValidEmail(value),
+    phone: value => isValidPhone(value),
+    custom: (value, validator, field) => validator(value, field)
+};
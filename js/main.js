@@ -2,898 +2,313 @@
  * ============================================================================
  * LUMINA AESTHETIC - Main JavaScript
  * ============================================================================
- * @fileoverview Main JavaScript file for Lumina Aesthetic website
+ * @fileoverview Entry point: wires the modules into the app lifecycle and
+ * exposes the public API. Loaded with `<script type="module">`; there is
+ * no build step.
  * @author Lumina Aesthetic
  * @version 1.0.0
  *
+ * Layout:
+ * - config.js, messages.js (Configuration & message catalogs)
+ * - lib/ (Pure logic without DOM access: timing, validation rules,
+ *   dates, slider math, pricing)
+ * - core/ (Utilities, scroll lock & event bus)
+ * - modules/ (One file per feature module: DOM wiring with init/destroy)
+ *
  * Modules:
- * - Navigation (Mobile menu, smooth scroll, active states)
+ * - Theme (Light, dark & campaign palettes)
+ * - I18n (Translations, language switcher & formatting)
+ * - Notifications (Accessible toast messages)
+ * - Consent (Cookie & privacy choices by category)
+ * - Analytics (Conversion events & consent-aware sinks)
+ * - Scroll Spy (Current section & scrolled state via IntersectionObserver)
  * - Header (Scroll effects)
+ * - Navigation (Mobile menu, smooth scroll, active states)
+ * - Router (Hash routes, Back/Forward & header-aware scrolling)
+ * - Modal (Accessible dialogs & scroll lock)
+ * - Legal (Privacy, terms & cookie documents by hash route)
+ * - Services (Catalog-driven cards, options & footer list)
+ * - Estimator (Treatment quotes, packages & installments)
+ * - Business Profile (Contact details & LocalBusiness JSON-LD)
+ * - Business Hours (Live open/closed status)
+ * - Testimonials (Review feed, ratings & structured data)
  * - Testimonials Slider
+ * - Validator (Schema-driven field validation)
+ * - Submission (Form transports, retries & timeouts)
+ * - Outbox (Offline queue for form submissions)
+ * - Spam Guard (Honeypot, fill time, rate limit & proof of work)
  * - Contact Form (Validation & Submission)
- * - Scroll Animations
+ * - WhatsApp (Prefilled deep links)
+ * - Booking (Appointment slots & reservations)
+ * - Scroll Animations (Variants, stagger, replay & reduced motion)
  * - Utilities
+ * - Event Bus (Application events for integrations)
  * ============================================================================
  */
 
-'use strict';
+import { Events } from './core/events.js';
+import { Theme } from './modules/theme.js';
+import { I18n } from './modules/i18n.js';
+import { Notifications } from './modules/notifications.js';
+import { Consent } from './modules/consent.js';
+import { Analytics } from './modules/analytics.js';
+import { ScrollSpy } from './modules/scroll-spy.js';
+import { Header } from './modules/header.js';
+import { Navigation } from './modules/navigation.js';
+import { Router } from './modules/router.js';
+import { Modal } from './modules/modal.js';
+import { Legal } from './modules/legal.js';
+import { Services } from './modules/services.js';
+import { Estimator } from './modules/estimator.js';
+import { BusinessProfile } from './modules/business-profile.js';
+import { BusinessHours } from './modules/business-hours.js';
+import { Testimonials } from './modules/testimonials.js';
+import { TestimonialsSlider } from './modules/testimonials-slider.js';
+import { Validator } from './modules/validator.js';
+import { Submission } from './modules/submission.js';
+import { Outbox } from './modules/outbox.js';
+import { SpamGuard } from './modules/spam-guard.js';
+import { ContactForm } from './modules/contact-form.js';
+import { WhatsApp } from './modules/whatsapp.js';
+import { Booking } from './modules/booking.js';
+import { ScrollAnimations } from './modules/scroll-animations.js';
+import { UtilityInit } from './modules/utility-init.js';
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
 
 /**
- * Main Application Module
- * Uses IIFE pattern for encapsulation
+ * Modules with a lifecycle, in initialization order. Each has
+ * `init(root)`; those holding listeners, timers or observers also have
+ * `destroy()`, called in reverse order. Validator and Submission are
+ * stateless and need neither.
+ * @type {Object[]}
  */
-const LuminaApp = (function() {
-
-    // ========================================================================
-    // CONFIGURATION
-    // ========================================================================
-
-    /**
-     * Application configuration object
-     * @type {Object}
-     */
-    const CONFIG = {
-        scrollThreshold: 50,
-        animationThreshold: 0.15,
-        sliderAutoplayDelay: 5000,
-        formSubmitDelay: 2000
-    };
-
-    /**
-     * DOM element selectors
-     * @type {Object}
-     */
-    const SELECTORS = {
-        header: '#header',
-        nav: '#nav',
-        navToggle: '#nav-toggle',
-        navLinks: '.nav__link',
-        testimonialSlider: '#testimonials-slider',
-        testimonialTrack: '.testimonials__track',
-        testimonialCards: '.testimonial-card',
-        testimonialPrev: '#testimonials-prev',
-        testimonialNext: '#testimonials-next',
-        testimonialDots: '.testimonials__dot',
-        contactForm: '#contact-form',
-        formSuccess: '#form-success',
-        animatedElements: '[data-animate]',
-        currentYear: '#current-year'
-    };
-
-    // ========================================================================
-    // UTILITIES MODULE
-    // ========================================================================
+const lifecycle = [
+    Theme,
+    I18n,
+    Notifications,
+    Consent,
+    Analytics,
+    ScrollSpy,
+    Header,
+    Navigation,
+    Modal,
+    Legal,
+    Services,
+    Estimator,
+    BusinessProfile,
+    BusinessHours,
+    TestimonialsSlider,
+    Testimonials,
+    Outbox,
+    ContactForm,
+    WhatsApp,
+    Booking,
+    ScrollAnimations,
+    UtilityInit,
+    Router
+];
+
+/** @type {HTMLElement|Document|null} Root of the running app */
+let activeRoot = null;
 
-    /**
-     * Utility functions module
-     * @namespace Utils
-     */
-    const Utils = {
-        /**
-         * Debounce function to limit execution rate
-         * @param {Function} func - Function to debounce
-         * @param {number} wait - Wait time in milliseconds
-         * @returns {Function} Debounced function
-         */
-        debounce(func, wait) {
-            let timeout;
-            return function executedFunction(...args) {
-                const later = () => {
-                    clearTimeout(timeout);
-                    func(...args);
-                };
-                clearTimeout(timeout);
-                timeout = setTimeout(later, wait);
-            };
-        },
+/**
+ * Initialize all modules. Calling it again re-initializes: the running
+ * instance is destroyed first.
+ * @param {HTMLElement|Document} [root=document] - Subtree the app manages
+ */
+function init(root = document) {
+    // Wait for DOM to be fully loaded
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => initModules(root), { once: true });
+    } else {
+        initModules(root);
+    }
+}
 
-        /**
-         * Throttle function to limit execution frequency
-         * @param {Function} func - Function to throttle
-         * @param {number} limit - Limit in milliseconds
-         * @returns {Function} Throttled function
-         */
-        throttle(func, limit) {
-            let inThrottle;
-            return function(...args) {
-                if (!inThrottle) {
-                    func.apply(this, args);
-                    inThrottle = true;
-                    setTimeout(() => inThrottle = false, limit);
-                }
-            };
-        },
+/**
+ * Initialize all modules
+ * @param {HTMLElement|Document} root - Subtree the app manages
+ */
+function initModules(root) {
+    if (activeRoot) destroy();
 
-        /**
-         * Check if element is in viewport
-         * @param {HTMLElement} element - Element to check
-         * @param {number} threshold - Visibility threshold (0-1)
-         * @returns {boolean} Whether element is visible
-         */
-        isInViewport(element, threshold = 0) {
-            const rect = element.getBoundingClientRect();
-            const windowHeight = window.innerHeight || document.documentElement.clientHeight;
-            return rect.top <= windowHeight * (1 - threshold);
-        },
+    activeRoot = root;
+    lifecycle.forEach(module => module.init(root));
 
-        /**
-         * Get all elements matching a selector
-         * @param {string} selector - CSS selector
-         * @param {HTMLElement} [context=document] - Context element
-         * @returns {HTMLElement[]} Array of elements
-         */
-        getElements(selector, context = document) {
-            return Array.from(context.querySelectorAll(selector));
-        },
+    // Log initialization (remove in production)
+    console.log('Lumina Aesthetic - Website Initialized');
+    Events.emit('app:ready', { root });
+}
 
-        /**
-         * Get single element matching a selector
-         * @param {string} selector - CSS selector
-         * @param {HTMLElement} [context=document] - Context element
-         * @returns {HTMLElement|null} Element or null
-         */
-        getElement(selector, context = document) {
-            return context.querySelector(selector);
-        },
+/**
+ * Tear down every module: listeners, timers, observers and open
+ * overlays. Stored data (consent, outbox, locale) and `on()`
+ * subscriptions are kept.
+ */
+function destroy() {
+    if (!activeRoot) return;
 
-        /**
-         * Validate email format
-         * @param {string} email - Email to validate
-         * @returns {boolean} Whether email is valid
-         */
-        isValidEmail(email) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            return emailRegex.test(email);
-        }
-    };
+    lifecycle.slice().reverse().forEach(module => {
+        if (module.destroy) module.destroy();
+    });
+    activeRoot = null;
 
-    // ========================================================================
-    // HEADER MODULE
-    // ========================================================================
+    Events.emit('app:destroyed');
+}
 
+/**
+ * Public API, also available as `window.LuminaApp` for inline scripts and
+ * third-party integrations
+ * @namespace LuminaApp
+ */
+const LuminaApp = {
+    init,
+    destroy,
     /**
-     * Header functionality module
-     * @namespace Header
+     * Choose the color theme
+     * @param {'light'|'dark'|null} choice - null follows the system preference
      */
-    const Header = {
-        /** @type {HTMLElement} */
-        element: null,
-
-        /**
-         * Initialize header module
-         */
-        init() {
-            this.element = Utils.getElement(SELECTORS.header);
-            if (!this.element) return;
-
-            this.bindEvents();
-            this.checkScroll();
-        },
-
-        /**
-         * Bind scroll event
-         */
-        bindEvents() {
-            window.addEventListener('scroll', Utils.throttle(() => {
-                this.checkScroll();
-            }, 100));
-        },
-
-        /**
-         * Check scroll position and update header state
-         */
-        checkScroll() {
-            if (window.scrollY > CONFIG.scrollThreshold) {
-                this.element.classList.add('scrolled');
-            } else {
-                this.element.classList.remove('scrolled');
-            }
-        }
-    };
-
-    // ========================================================================
-    // NAVIGATION MODULE
-    // ========================================================================
-
+    setTheme(choice) {
+        Theme.setChoice(choice);
+    },
     /**
-     * Navigation functionality module
-     * @namespace Navigation
+     * Subscribe to an application event (see README, "Eventos")
+     * @param {string} type - Event type, e.g. 'form:submitted'
+     * @param {Function} handler - Called with (detail, type)
+     * @param {Object} [options] - { signal }
+     * @returns {Function} Unsubscribe
      */
-    const Navigation = {
-        /** @type {HTMLElement} */
-        nav: null,
-        /** @type {HTMLElement} */
-        toggle: null,
-        /** @type {HTMLElement[]} */
-        links: [],
-        /** @type {boolean} */
-        isOpen: false,
-
-        /**
-         * Initialize navigation module
-         */
-        init() {
-            this.nav = Utils.getElement(SELECTORS.nav);
-            this.toggle = Utils.getElement(SELECTORS.navToggle);
-            this.links = Utils.getElements(SELECTORS.navLinks);
-
-            if (!this.nav || !this.toggle) return;
-
-            this.bindEvents();
-        },
-
-        /**
-         * Bind navigation events
-         */
-        bindEvents() {
-            // Mobile toggle
-            this.toggle.addEventListener('click', () => this.toggleMenu());
-
-            // Nav links (smooth scroll & close mobile menu)
-            this.links.forEach(link => {
-                link.addEventListener('click', (e) => this.handleLinkClick(e, link));
-            });
-
-            // Close menu on escape key
-            document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape' && this.isOpen) {
-                    this.closeMenu();
-                }
-            });
-
-            // Update active link on scroll
-            window.addEventListener('scroll', Utils.throttle(() => {
-                this.updateActiveLink();
-            }, 100));
-        },
-
-        /**
-         * Toggle mobile menu open/closed
-         */
-        toggleMenu() {
-            this.isOpen = !this.isOpen;
-            this.nav.classList.toggle('open', this.isOpen);
-            this.toggle.setAttribute('aria-expanded', this.isOpen.toString());
-            this.toggle.setAttribute('aria-label', this.isOpen ? 'Cerrar menú' : 'Abrir menú');
-
-            // Prevent body scroll when menu is open
-            document.body.style.overflow = this.isOpen ? 'hidden' : '';
-        },
-
-        /**
-         * Close mobile menu
-         */
-        closeMenu() {
-            this.isOpen = false;
-            this.nav.classList.remove('open');
-            this.toggle.setAttribute('aria-expanded', 'false');
-            this.toggle.setAttribute('aria-label', 'Abrir menú');
-            document.body.style.overflow = '';
-        },
-
-        /**
-         * Handle navigation link click
-         * @param {Event} e - Click event
-         * @param {HTMLElement} link - Clicked link
-         */
-        handleLinkClick(e, link) {
-            const href = link.getAttribute('href');
-
-            // Only handle anchor links
-            if (href && href.startsWith('#')) {
-                e.preventDefault();
-                const target = Utils.getElement(href);
-
-                if (target) {
-                    // Close mobile menu if open
-                    if (this.isOpen) {
-                        this.closeMenu();
-                    }
-
-                    // Smooth scroll to target
-                    const headerHeight = Header.element ? Header.element.offsetHeight : 0;
-                    const targetPosition = target.offsetTop - headerHeight;
-
-                    window.scrollTo({
-                        top: targetPosition,
-                        behavior: 'smooth'
-                    });
-
-                    // Update URL hash without jumping
-                    history.pushState(null, '', href);
-                }
-            }
-        },
-
-        /**
-         * Update active navigation link based on scroll position
-         */
-        updateActiveLink() {
-            const sections = Utils.getElements('section[id]');
-            const headerHeight = Header.element ? Header.element.offsetHeight : 0;
-            const scrollPosition = window.scrollY + headerHeight + 100;
-
-            sections.forEach(section => {
-                const sectionTop = section.offsetTop;
-                const sectionHeight = section.offsetHeight;
-                const sectionId = section.getAttribute('id');
-
-                if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
-                    this.links.forEach(link => {
-                        link.classList.remove('active');
-                        if (link.getAttribute('href') === `#${sectionId}`) {
-                            link.classList.add('active');
-                        }
-                    });
-                }
-            });
-        }
-    };
-
-    // ========================================================================
-    // TESTIMONIALS SLIDER MODULE
-    // ========================================================================
-
+    on(type, handler, options) {
+        return Events.on(type, handler, options);
+    },
     /**
-     * Testimonials slider functionality
-     * @namespace TestimonialsSlider
+     * Subscribe to the next occurrence of an application event
+     * @param {string} type - Event type
+     * @param {Function} handler - Called with (detail, type)
+     * @param {Object} [options] - { signal }
+     * @returns {Function} Unsubscribe
      */
-    const TestimonialsSlider = {
-        /** @type {HTMLElement} */
-        slider: null,
-        /** @type {HTMLElement} */
-        track: null,
-        /** @type {HTMLElement[]} */
-        cards: [],
-        /** @type {HTMLElement[]} */
-        dots: [],
-        /** @type {HTMLElement} */
-        prevBtn: null,
-        /** @type {HTMLElement} */
-        nextBtn: null,
-        /** @type {number} */
-        currentIndex: 0,
-        /** @type {number} */
-        totalSlides: 0,
-        /** @type {number} */
-        visibleSlides: 1,
-        /** @type {number|null} */
-        autoplayInterval: null,
-
-        /**
-         * Initialize slider module
-         */
-        init() {
-            this.slider = Utils.getElement(SELECTORS.testimonialSlider);
-            if (!this.slider) return;
-
-            this.track = Utils.getElement(SELECTORS.testimonialTrack, this.slider);
-            this.cards = Utils.getElements(SELECTORS.testimonialCards, this.slider);
-            this.dots = Utils.getElements(SELECTORS.testimonialDots, this.slider);
-            this.prevBtn = Utils.getElement(SELECTORS.testimonialPrev);
-            this.nextBtn = Utils.getElement(SELECTORS.testimonialNext);
-
-            this.totalSlides = this.cards.length;
-
-            if (this.totalSlides === 0) return;
-
-            this.updateVisibleSlides();
-            this.bindEvents();
-            this.startAutoplay();
-        },
-
-        /**
-         * Bind slider events
-         */
-        bindEvents() {
-            if (this.prevBtn) {
-                this.prevBtn.addEventListener('click', () => this.prev());
-            }
-
-            if (this.nextBtn) {
-                this.nextBtn.addEventListener('click', () => this.next());
-            }
-
-            this.dots.forEach((dot, index) => {
-                dot.addEventListener('click', () => this.goToSlide(index));
-            });
-
-            // Pause on hover
-            this.slider.addEventListener('mouseenter', () => this.stopAutoplay());
-            this.slider.addEventListener('mouseleave', () => this.startAutoplay());
-
-            // Touch support
-            let touchStartX = 0;
-            let touchEndX = 0;
-
-            this.slider.addEventListener('touchstart', (e) => {
-                touchStartX = e.changedTouches[0].screenX;
-            }, { passive: true });
-
-            this.slider.addEventListener('touchend', (e) => {
-                touchEndX = e.changedTouches[0].screenX;
-                this.handleSwipe(touchStartX, touchEndX);
-            }, { passive: true });
-
-            // Update visible slides on resize
-            window.addEventListener('resize', Utils.debounce(() => {
-                this.updateVisibleSlides();
-                this.updateSlider();
-            }, 250));
-        },
-
-        /**
-         * Handle touch swipe gesture
-         * @param {number} startX - Start X position
-         * @param {number} endX - End X position
-         */
-        handleSwipe(startX, endX) {
-            const swipeThreshold = 50;
-            const diff = startX - endX;
-
-            if (Math.abs(diff) > swipeThreshold) {
-                if (diff > 0) {
-                    this.next();
-                } else {
-                    this.prev();
-                }
-            }
-        },
-
-        /**
-         * Update number of visible slides based on viewport
-         */
-        updateVisibleSlides() {
-            const width = window.innerWidth;
-            if (width >= 1024) {
-                this.visibleSlides = 3;
-            } else if (width >= 768) {
-                this.visibleSlides = 2;
-            } else {
-                this.visibleSlides = 1;
-            }
-        },
-
-        /**
-         * Go to next slide
-         */
-        next() {
-            const maxIndex = this.totalSlides - this.visibleSlides;
-            this.currentIndex = this.currentIndex >= maxIndex ? 0 : this.currentIndex + 1;
-            this.updateSlider();
-        },
-
-        /**
-         * Go to previous slide
-         */
-        prev() {
-            const maxIndex = this.totalSlides - this.visibleSlides;
-            this.currentIndex = this.currentIndex <= 0 ? maxIndex : this.currentIndex - 1;
-            this.updateSlider();
-        },
-
-        /**
-         * Go to specific slide
-         * @param {number} index - Slide index
-         */
-        goToSlide(index) {
-            this.currentIndex = index;
-            this.updateSlider();
-        },
-
-        /**
-         * Update slider position and indicators
-         */
-        updateSlider() {
-            if (!this.track) return;
-
-            const slideWidth = this.cards[0].offsetWidth;
-            const gap = parseInt(getComputedStyle(this.track).gap) || 0;
-            const offset = this.currentIndex * (slideWidth + gap);
-
-            this.track.style.transform = `translateX(-${offset}px)`;
-
-            // Update dots
-            this.dots.forEach((dot, index) => {
-                const isActive = index === this.currentIndex;
-                dot.classList.toggle('active', isActive);
-                dot.setAttribute('aria-selected', isActive.toString());
-            });
-        },
-
-        /**
-         * Start autoplay
-         */
-        startAutoplay() {
-            if (this.autoplayInterval) return;
-
-            this.autoplayInterval = setInterval(() => {
-                this.next();
-            }, CONFIG.sliderAutoplayDelay);
-        },
-
-        /**
-         * Stop autoplay
-         */
-        stopAutoplay() {
-            if (this.autoplayInterval) {
-                clearInterval(this.autoplayInterval);
-                this.autoplayInterval = null;
-            }
-        }
-    };
-
-    // ========================================================================
-    // CONTACT FORM MODULE
-    // ========================================================================
-
+    once(type, handler, options) {
+        return Events.once(type, handler, options);
+    },
     /**
-     * Contact form functionality
-     * @namespace ContactForm
+     * Remove an application event handler
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler passed to on()
      */
-    const ContactForm = {
-        /** @type {HTMLFormElement} */
-        form: null,
-        /** @type {HTMLElement} */
-        successMessage: null,
-        /** @type {Object} */
-        fields: {},
-        /** @type {boolean} */
-        isSubmitting: false,
-
-        /**
-         * Initialize form module
-         */
-        init() {
-            this.form = Utils.getElement(SELECTORS.contactForm);
-            this.successMessage = Utils.getElement(SELECTORS.formSuccess);
-
-            if (!this.form) return;
-
-            this.fields = {
-                name: this.form.querySelector('#contact-name'),
-                email: this.form.querySelector('#contact-email'),
-                phone: this.form.querySelector('#contact-phone'),
-                service: this.form.querySelector('#contact-service'),
-                message: this.form.querySelector('#contact-message')
-            };
-
-            this.bindEvents();
-        },
-
-        /**
-         * Bind form events
-         */
-        bindEvents() {
-            this.form.addEventListener('submit', (e) => this.handleSubmit(e));
-
-            // Real-time validation
-            Object.entries(this.fields).forEach(([name, field]) => {
-                if (field) {
-                    field.addEventListener('blur', () => this.validateField(name, field));
-                    field.addEventListener('input', () => this.clearError(name));
-                }
-            });
-        },
-
-        /**
-         * Handle form submission
-         * @param {Event} e - Submit event
-         */
-        async handleSubmit(e) {
-            e.preventDefault();
-
-            if (this.isSubmitting) return;
-
-            // Validate all fields
-            const isValid = this.validateAll();
-            if (!isValid) return;
-
-            // Show loading state
-            this.isSubmitting = true;
-            const submitBtn = this.form.querySelector('.contact-form__submit');
-            submitBtn.classList.add('loading');
-            submitBtn.disabled = true;
-
-            try {
-                // Simulate form submission (replace with actual API call)
-                await this.simulateSubmit();
-
-                // Show success message
-                this.showSuccess();
-                this.form.reset();
-            } catch (error) {
-                console.error('Form submission error:', error);
-                this.showError('Hubo un error al enviar el mensaje. Por favor, intenta de nuevo.');
-            } finally {
-                this.isSubmitting = false;
-                submitBtn.classList.remove('loading');
-                submitBtn.disabled = false;
-            }
-        },
-
-        /**
-         * Simulate form submission (demo purposes)
-         * @returns {Promise} Resolves after delay
-         */
-        simulateSubmit() {
-            return new Promise((resolve) => {
-                setTimeout(resolve, CONFIG.formSubmitDelay);
-            });
-        },
-
-        /**
-         * Validate all form fields
-         * @returns {boolean} Whether all fields are valid
-         */
-        validateAll() {
-            let isValid = true;
-
-            // Required fields
-            const requiredFields = ['name', 'email', 'service'];
-
-            requiredFields.forEach(name => {
-                if (!this.validateField(name, this.fields[name])) {
-                    isValid = false;
-                }
-            });
-
-            return isValid;
-        },
-
-        /**
-         * Validate single field
-         * @param {string} name - Field name
-         * @param {HTMLElement} field - Field element
-         * @returns {boolean} Whether field is valid
-         */
-        validateField(name, field) {
-            if (!field) return true;
-
-            const value = field.value.trim();
-            let error = '';
-
-            switch (name) {
-                case 'name':
-                    if (!value) {
-                        error = 'Por favor, ingresa tu nombre';
-                    } else if (value.length < 2) {
-                        error = 'El nombre debe tener al menos 2 caracteres';
-                    }
-                    break;
-
-                case 'email':
-                    if (!value) {
-                        error = 'Por favor, ingresa tu correo electrónico';
-                    } else if (!Utils.isValidEmail(value)) {
-                        error = 'Por favor, ingresa un correo electrónico válido';
-                    }
-                    break;
-
-                case 'service':
-                    if (!value) {
-                        error = 'Por favor, selecciona un servicio';
-                    }
-                    break;
-            }
-
-            if (error) {
-                this.showFieldError(name, error);
-                return false;
-            }
-
-            this.clearError(name);
-            return true;
-        },
-
-        /**
-         * Show field error message
-         * @param {string} name - Field name
-         * @param {string} message - Error message
-         */
-        showFieldError(name, message) {
-            const errorEl = this.form.querySelector(`#${name}-error`);
-            const field = this.fields[name];
-
-            if (errorEl) {
-                errorEl.textContent = message;
-            }
-
-            if (field) {
-                field.classList.add('error');
-                field.setAttribute('aria-invalid', 'true');
-            }
-        },
-
-        /**
-         * Clear field error
-         * @param {string} name - Field name
-         */
-        clearError(name) {
-            const errorEl = this.form.querySelector(`#${name}-error`);
-            const field = this.fields[name];
-
-            if (errorEl) {
-                errorEl.textContent = '';
-            }
-
-            if (field) {
-                field.classList.remove('error');
-                field.removeAttribute('aria-invalid');
-            }
-        },
-
-        /**
-         * Show success message
-         */
-        showSuccess() {
-            if (this.successMessage) {
-                this.form.hidden = true;
-                this.successMessage.hidden = false;
-            }
-        },
-
-        /**
-         * Show general error message
-         * @param {string} message - Error message
-         */
-        showError(message) {
-            // Could be enhanced to show a toast notification
-            alert(message);
-        }
-    };
-
-    // ========================================================================
-    // SCROLL ANIMATIONS MODULE
-    // ========================================================================
-
+    off(type, handler) {
+        Events.off(type, handler);
+    },
     /**
-     * Scroll-triggered animations
-     * @namespace ScrollAnimations
+     * Register a custom form submission transport
+     * @param {string} name - Transport name (usable in CONFIG or data-transport)
+     * @param {Function} transport - (data, options) => Promise
      */
-    const ScrollAnimations = {
-        /** @type {HTMLElement[]} */
-        elements: [],
-        /** @type {IntersectionObserver} */
-        observer: null,
-
-        /**
-         * Initialize scroll animations
-         */
-        init() {
-            this.elements = Utils.getElements(SELECTORS.animatedElements);
-
-            if (this.elements.length === 0) return;
-
-            // Use Intersection Observer for performance
-            if ('IntersectionObserver' in window) {
-                this.observer = new IntersectionObserver(
-                    (entries) => this.handleIntersection(entries),
-                    {
-                        threshold: CONFIG.animationThreshold,
-                        rootMargin: '0px 0px -50px 0px'
-                    }
-                );
-
-                this.elements.forEach(el => this.observer.observe(el));
-            } else {
-                // Fallback: show all elements
-                this.elements.forEach(el => el.classList.add('visible'));
-            }
-        },
-
-        /**
-         * Handle intersection observer callback
-         * @param {IntersectionObserverEntry[]} entries - Observed entries
-         */
-        handleIntersection(entries) {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('visible');
-                    // Optionally stop observing after animation
-                    this.observer.unobserve(entry.target);
-                }
-            });
-        }
-    };
-
-    // ========================================================================
-    // UTILITY INITIALIZATIONS
-    // ========================================================================
-
+    registerTransport(name, transport) {
+        Submission.registerTransport(name, transport);
+    },
     /**
-     * Initialize utility features
-     * @namespace UtilityInit
+     * Register a custom (optionally async) validation rule
+     * @param {string} name - Rule name (usable in the schema or as data-validate-<name>)
+     * @param {Function} rule - (value, param, field) => boolean|string|Promise
+     * @param {string} [message] - Default error message
      */
-    const UtilityInit = {
-        /**
-         * Initialize all utility features
-         */
-        init() {
-            this.setCurrentYear();
-            this.setupSmoothScroll();
-        },
-
-        /**
-         * Set current year in footer
-         */
-        setCurrentYear() {
-            const yearElement = Utils.getElement(SELECTORS.currentYear);
-            if (yearElement) {
-                yearElement.textContent = new Date().getFullYear().toString();
-            }
-        },
-
-        /**
-         * Setup smooth scroll for anchor links
-         */
-        setupSmoothScroll() {
-            // Already handled by Navigation module
-            // This is a fallback for any additional anchor links
-            document.querySelectorAll('a[href^="#"]:not(.nav__link)').forEach(link => {
-                link.addEventListener('click', (e) => {
-                    const href = link.getAttribute('href');
-                    if (href && href !== '#') {
-                        const target = document.querySelector(href);
-                        if (target) {
-                            e.preventDefault();
-                            const headerHeight = Header.element ? Header.element.offsetHeight : 0;
-                            window.scrollTo({
-                                top: target.offsetTop - headerHeight,
-                                behavior: 'smooth'
-                            });
-                        }
-                    }
-                });
-            });
-        }
-    };
-
-    // ========================================================================
-    // PUBLIC API
-    // ========================================================================
-
+    registerValidator(name, rule, message) {
+        Validator.register(name, rule, message);
+    },
     /**
-     * Initialize all modules
+     * Register a custom booking availability provider
+     * @param {string} name - Provider name (usable in CONFIG.booking.provider)
+     * @param {Object} provider - Object with getBusy() and reserve()
      */
-    function init() {
-        // Wait for DOM to be fully loaded
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', initModules);
-        } else {
-            initModules();
-        }
-    }
-
+    registerBookingProvider(name, provider) {
+        Booking.registerProvider(name, provider);
+    },
     /**
-     * Initialize all modules
+     * Show a toast notification
+     * @param {string} message - Message text
+     * @param {Object} [options] - { type, title, duration }
+     * @returns {Object} Toast handle with dismiss()
      */
-    function initModules() {
-        Header.init();
-        Navigation.init();
-        TestimonialsSlider.init();
-        ContactForm.init();
-        ScrollAnimations.init();
-        UtilityInit.init();
-
-        // Log initialization (remove in production)
-        console.log('Lumina Aesthetic - Website Initialized');
+    notify(message, options) {
+        return Notifications.show(message, options);
+    },
+    /**
+     * Animate elements rendered after load when they scroll into view
+     * @param {HTMLElement|HTMLElement[]} elements - Elements to animate
+     * @param {Object} [options] - { variant, delay, replay }
+     */
+    animate(elements, options) {
+        ScrollAnimations.observe(Array.isArray(elements) ? elements : [elements], options);
+    },
+    /**
+     * Register an analytics sink and start sending events to it
+     * @param {string} name - Sink name
+     * @param {Function} sink - (event) => void
+     */
+    registerAnalyticsSink(name, sink) {
+        Analytics.registerSink(name, sink);
+    },
+    /**
+     * Whether the visitor allowed a consent category
+     * @param {string} category - necessary, analytics or marketing
+     * @returns {boolean}
+     */
+    hasConsent(category) {
+        return Consent.has(category);
+    },
+    /**
+     * Wait until the visitor allows a consent category
+     * @param {string} category - necessary, analytics or marketing
+     * @returns {Promise<void>}
+     */
+    whenConsented(category) {
+        return Consent.whenGranted(category);
+    },
+    /**
+     * Subscribe to consent changes
+     * @param {Function} callback - Receives the choices object
+     */
+    onConsentChange(callback) {
+        Consent.onChange(callback);
+    },
+    // Expose modules for debugging/testing
+    modules: {
+        Events,
+        Theme,
+        I18n,
+        Notifications,
+        Consent,
+        Analytics,
+        ScrollSpy,
+        Header,
+        Navigation,
+        Router,
+        Modal,
+        Legal,
+        Services,
+        Estimator,
+        BusinessProfile,
+        BusinessHours,
+        Testimonials,
+        TestimonialsSlider,
+        Validator,
+        Submission,
+        Outbox,
+        SpamGuard,
+        ContactForm,
+        WhatsApp,
+        Booking,
+        ScrollAnimations
     }
+};
 
-    // Return public API
-    return {
-        init,
-        // Expose modules for debugging/testing
-        modules: {
-            Header,
-            Navigation,
-            TestimonialsSlider,
-            ContactForm,
-            ScrollAnimations
-        }
-    };
+window.LuminaApp = LuminaApp;
 
-})();
+export default LuminaApp;
 
 // ============================================================================
 // INITIALIZE APPLICATION
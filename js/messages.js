@@ -0,0 +1,356 @@
+/**
+ * @fileoverview Message catalogs by locale
+ * @module messages
+ */
+
+// ============================================================================
+// TRANSLATIONS
+// ============================================================================
+
+/**
+ * Message catalogs by locale. Markup annotated with `data-i18n*` keeps
+ * its Spanish text as the source, so `es-MX` only needs the strings
+ * generated from JS; other locales translate both.
+ * @type {Object<string, Object<string, string>>}
+ */
+export const MESSAGES = {
+    'es-MX': {
+        'nav.open': 'Abrir menú',
+        'nav.close': 'Cerrar menú',
+
+        'hours.open': 'Abierto ahora · cierra a las {time}',
+        'hours.opensToday': 'Cerrado · abre hoy a las {time}',
+        'hours.opensTomorrow': 'Cerrado · abre mañana a las {time}',
+        'hours.opensOn': 'Cerrado · abre el {day} a las {time}',
+        'hours.closed': 'Cerrado temporalmente',
+        'whatsapp.closedHint': '{status}. Escríbenos y te responderemos en cuanto abramos.',
+        'whatsapp.greeting': 'Hola, me gustaría pedir información.',
+        'whatsapp.greetingName': 'Hola, soy {name} y me gustaría pedir información.',
+        'whatsapp.service': 'Me interesa: {service}.',
+        'whatsapp.phone': 'Teléfono: {value}',
+        'whatsapp.email': 'Correo: {value}',
+        'whatsapp.opened': 'Abrimos WhatsApp con tu mensaje. Solo tienes que enviarlo.',
+        'services.whatsapp': 'Preguntar por WhatsApp',
+
+        'notifications.dismiss': 'Cerrar notificación',
+        'notifications.offline': 'Sin conexión. Los mensajes que envíes se guardarán y se enviarán al reconectarte.',
+        'notifications.queued': 'Guardamos tu mensaje. Lo enviaremos en cuanto recuperes la conexión.',
+        'notifications.outboxSent': 'Tus mensajes pendientes se enviaron correctamente.',
+        'notifications.bookingConfirmed': 'Cita reservada: {service}, {date} a las {time} h.',
+
+        'validation.required': 'Este campo es obligatorio',
+        'validation.minLength': 'Debe tener al menos {param} caracteres',
+        'validation.maxLength': 'No puede superar los {param} caracteres',
+        'validation.pattern': 'El formato no es válido',
+        'validation.email': 'Por favor, ingresa un correo electrónico válido',
+        'validation.phone': 'Por favor, ingresa un teléfono válido',
+        'validation.custom': 'El valor no es válido',
+        'validation.name.required': 'Por favor, ingresa tu nombre',
+        'validation.name.minLength': 'El nombre debe tener al menos 2 caracteres',
+        'validation.email.required': 'Por favor, ingresa tu correo electrónico',
+        'validation.phone.format': 'Por favor, ingresa un teléfono válido (ej. 55 1234 5678 o +52 55 1234 5678)',
+        'validation.phone.required': 'Por favor, ingresa tu teléfono',
+        'validation.service.required': 'Por favor, selecciona un servicio',
+        'validation.privacy.required': 'Necesitamos tu autorización para responder a tu solicitud',
+
+        'legal.privacy': 'Aviso de Privacidad',
+        'legal.terms': 'Términos de Servicio',
+        'legal.cookies': 'Política de Cookies',
+        'legal.loading': 'Cargando…',
+        'legal.error': 'No pudimos cargar el documento. Intenta de nuevo más tarde o escríbenos a citas@luminaesthetic.mx.',
+        'validation.treatment.required': 'Por favor, selecciona un tratamiento',
+        'validation.date.required': 'Por favor, elige una fecha',
+        'validation.date.range': 'Elige una fecha entre hoy y el {max}',
+        'validation.time.required': 'Por favor, elige un horario',
+        'validation.message.maxLength': 'El mensaje no puede superar los 2000 caracteres',
+
+        'contact.error': 'Hubo un error al enviar el mensaje. Por favor, intenta de nuevo.',
+        'contact.tooFast': 'Espera unos segundos y vuelve a enviar el mensaje.',
+        'contact.rateLimited': 'Ya enviaste varios mensajes en la última hora. Inténtalo más tarde o escríbenos por WhatsApp.',
+        'contact.fieldsError': 'Revisa los datos del formulario e intenta de nuevo.',
+        'contact.sent.title': '¡Mensaje Enviado!',
+        'contact.sent.text': 'Gracias por contactarnos. Te responderemos pronto.',
+        'contact.queued.title': '¡Mensaje Guardado!',
+        'contact.queued.text': 'No pudimos enviarlo por falta de conexión. Lo enviaremos automáticamente en cuanto vuelvas a estar en línea.',
+        'contact.handedOff.title': 'Termina el envío en tu correo',
+        'contact.handedOff.text': 'No pudimos enviar tu mensaje desde el sitio. Lo abrimos en tu aplicación de correo: envíalo desde ahí para que nos llegue.',
+        'contact.draft.text': 'Tienes un mensaje sin enviar ({date}). ¿Quieres continuar donde lo dejaste?',
+
+        'services.cta': 'Agendar cita',
+        'services.package': 'Paquete {sessions} sesiones -{discount}',
+        'services.loadError': 'No pudimos cargar los tratamientos. Escríbenos y te enviamos la lista de precios.',
+
+        'estimator.sessions': 'Sesiones',
+        'estimator.package': 'Paquete de {sessions} sesiones o más: {discount} de descuento',
+        'estimator.sessionCount.one': '{count} sesión',
+        'estimator.sessionCount.other': '{count} sesiones',
+        'estimator.line': '{name} · {areas} · {sessions}',
+        'estimator.installment.free': '{months} meses sin intereses de {monthly}',
+        'estimator.installment.interest': '{months} pagos de {monthly} (total {total})',
+        'estimator.installment.freeUneven': '{months} meses sin intereses: {first} de {monthly} y uno de {last}',
+        'estimator.installment.interestUneven': '{months} pagos: {first} de {monthly} y uno de {last} (total {total})',
+        'estimator.quote.title': 'Presupuesto estimado:',
+        'estimator.quote.line': '- {name} ({areas}), {sessions}: {total}',
+        'estimator.quote.package': '  Incluye descuento por paquete de {discount}',
+        'estimator.quote.total': 'Total estimado: {total}',
+        'estimator.quote.installments': 'Pagos a meses: {plans}',
+        'estimator.attached': 'Agregamos el presupuesto a tu mensaje.',
+
+        'testimonials.goTo': 'Ir a la página {n} de {total}',
+        'testimonials.stars': '{rating} de 5 estrellas',
+        'testimonials.summary.one': '{rating} de 5 · {count} reseña en {source}',
+        'testimonials.summary.other': '{rating} de 5 · {count} reseñas en {source}',
+        'testimonials.filterAll': 'Todos',
+        'testimonials.loadError': 'No pudimos cargar las reseñas. Consúltalas en nuestro perfil de Google.',
+        'testimonials.slide': 'testimonio',
+        'testimonials.slideLabel': '{n} de {total}',
+        'testimonials.pause': 'Detener rotación automática',
+        'testimonials.play': 'Iniciar rotación automática',
+
+        'booking.option': '{name} ({duration} min)',
+        'booking.status.pick': 'Selecciona un tratamiento y una fecha para ver los horarios.',
+        'booking.status.closed': 'La clínica está cerrada ese día. Elige otra fecha.',
+        'booking.status.loading': 'Buscando horarios disponibles…',
+        'booking.status.available': '{count} horarios disponibles.',
+        'booking.status.none': 'No quedan horarios disponibles ese día. Prueba con otra fecha.',
+        'booking.status.error': 'No pudimos consultar la disponibilidad. Intenta de nuevo más tarde.',
+        'booking.slotTaken': 'Ese horario acaba de ocuparse. Elige otro, por favor.',
+        'booking.error': 'No pudimos completar la reserva. Por favor, intenta de nuevo.',
+        'booking.confirmation': '{service}, {date} a las {time} h.',
+        'booking.reference': 'Referencia: {id}.',
+        'booking.notice': 'Te enviaremos la confirmación por correo.',
+        'booking.demo': 'Modo de demostración: la cita de {service}, {date} a las {time} h no se envió a la clínica. Para reservar, escríbenos o llámanos.'
+    },
+
+    'en-US': {
+        'nav.open': 'Open menu',
+        'nav.close': 'Close menu',
+
+        'hours.open': 'Open now · closes at {time}',
+        'hours.opensToday': 'Closed · opens today at {time}',
+        'hours.opensTomorrow': 'Closed · opens tomorrow at {time}',
+        'hours.opensOn': 'Closed · opens {day} at {time}',
+        'hours.closed': 'Temporarily closed',
+        'whatsapp.closedHint': '{status}. Message us and we will reply as soon as we open.',
+        'whatsapp.greeting': 'Hi, I would like some information.',
+        'whatsapp.greetingName': 'Hi, I am {name} and I would like some information.',
+        'whatsapp.service': 'I am interested in: {service}.',
+        'whatsapp.phone': 'Phone: {value}',
+        'whatsapp.email': 'Email: {value}',
+        'whatsapp.opened': 'We opened WhatsApp with your message. You just need to send it.',
+        'services.whatsapp': 'Ask on WhatsApp',
+
+        'notifications.dismiss': 'Dismiss notification',
+        'notifications.offline': 'You are offline. Messages you send will be saved and sent once you reconnect.',
+        'notifications.queued': 'We saved your message. It will be sent as soon as you are back online.',
+        'notifications.outboxSent': 'Your pending messages were sent successfully.',
+        'notifications.bookingConfirmed': 'Appointment booked: {service}, {date} at {time}.',
+
+        'validation.required': 'This field is required',
+        'validation.minLength': 'Must be at least {param} characters',
+        'validation.maxLength': 'Cannot exceed {param} characters',
+        'validation.pattern': 'The format is not valid',
+        'validation.email': 'Please enter a valid email address',
+        'validation.phone': 'Please enter a valid phone number',
+        'validation.custom': 'The value is not valid',
+        'validation.name.required': 'Please enter your name',
+        'validation.name.minLength': 'Your name must be at least 2 characters',
+        'validation.email.required': 'Please enter your email address',
+        'validation.phone.format': 'Please enter a valid phone number (e.g. 55 1234 5678 or +52 55 1234 5678)',
+        'validation.phone.required': 'Please enter your phone number',
+        'validation.service.required': 'Please select a service',
+        'validation.privacy.required': 'We need your permission to reply to your request',
+
+        'legal.privacy': 'Privacy Notice',
+        'legal.terms': 'Terms of Service',
+        'legal.cookies': 'Cookie Policy',
+        'legal.loading': 'Loading…',
+        'legal.error': 'We could not load the document. Please try again later or email us at citas@luminaesthetic.mx.',
+        'validation.treatment.required': 'Please select a treatment',
+        'validation.date.required': 'Please choose a date',
+        'validation.date.range': 'Choose a date between today and {max}',
+        'validation.time.required': 'Please choose a time',
+        'validation.message.maxLength': 'Your message cannot exceed 2000 characters',
+
+        'contact.error': 'There was an error sending your message. Please try again.',
+        'contact.tooFast': 'Please wait a few seconds and send your message again.',
+        'contact.rateLimited': 'You have already sent several messages in the last hour. Please try again later or message us on WhatsApp.',
+        'contact.fieldsError': 'Please review the form and try again.',
+        'contact.sent.title': 'Message Sent!',
+        'contact.sent.text': 'Thank you for reaching out. We will get back to you soon.',
+        'contact.queued.title': 'Message Saved!',
+        'contact.queued.text': 'We could not send it because you are offline. It will be sent automatically as soon as you are back online.',
+        'contact.handedOff.title': 'Finish sending in your email app',
+        'contact.handedOff.text': 'We could not send your message from the site. It is open in your email app: send it from there so it reaches us.',
+        'contact.draft.text': 'You have an unsent message ({date}). Would you like to pick up where you left off?',
+
+        'services.cta': 'Book now',
+        'services.package': '{sessions}-session package -{discount}',
+        'services.loadError': 'We could not load our treatments. Write to us and we will send you our price list.',
+
+        'estimator.sessions': 'Sessions',
+        'estimator.package': '{sessions}+ session package: {discount} off',
+        'estimator.sessionCount.one': '{count} session',
+        'estimator.sessionCount.other': '{count} sessions',
+        'estimator.line': '{name} · {areas} · {sessions}',
+        'estimator.installment.free': '{months} interest-free payments of {monthly}',
+        'estimator.installment.interest': '{months} payments of {monthly} ({total} total)',
+        'estimator.installment.freeUneven': '{months} interest-free payments: {first} of {monthly} and one of {last}',
+        'estimator.installment.interestUneven': '{months} payments: {first} of {monthly} and one of {last} ({total} total)',
+        'estimator.quote.title': 'Estimated quote:',
+        'estimator.quote.line': '- {name} ({areas}), {sessions}: {total}',
+        'estimator.quote.package': '  Includes a {discount} package discount',
+        'estimator.quote.total': 'Estimated total: {total}',
+        'estimator.quote.installments': 'Monthly payments: {plans}',
+        'estimator.attached': 'We added the quote to your message.',
+
+        'testimonials.goTo': 'Go to page {n} of {total}',
+        'testimonials.stars': '{rating} out of 5 stars',
+        'testimonials.summary.one': '{rating} out of 5 · {count} review on {source}',
+        'testimonials.summary.other': '{rating} out of 5 · {count} reviews on {source}',
+        'testimonials.filterAll': 'All',
+        'testimonials.loadError': 'We could not load our reviews. You can read them on our Google profile.',
+        'testimonials.slide': 'testimonial',
+        'testimonials.slideLabel': '{n} of {total}',
+        'testimonials.pause': 'Stop automatic rotation',
+        'testimonials.play': 'Start automatic rotation',
+
+        'booking.option': '{name} ({duration} min)',
+        'booking.status.pick': 'Choose a treatment and a date to see available times.',
+        'booking.status.closed': 'The clinic is closed that day. Please choose another date.',
+        'booking.status.loading': 'Looking for available times…',
+        'booking.status.available': '{count} times available.',
+        'booking.status.none': 'No times left that day. Please try another date.',
+        'booking.status.error': 'We could not check availability. Please try again later.',
+        'booking.slotTaken': 'That time was just taken. Please choose another one.',
+        'booking.error': 'We could not complete your booking. Please try again.',
+        'booking.confirmation': '{service}, {date} at {time}.',
+        'booking.reference': 'Reference: {id}.',
+        'booking.notice': 'We will send you a confirmation by email.',
+        'booking.demo': 'Demo mode: the {service} appointment on {date} at {time} was not sent to the clinic. To book, message or call us.',
+
+        'meta.title': 'Lumina Aesthetic | Premium Aesthetic Clinic',
+        'meta.description': 'Lumina Aesthetic - Your destination for beauty and wellness. Facial and body treatments and aesthetic medicine with cutting-edge technology. Book your appointment today.',
+        'a11y.skipLink': 'Skip to main content',
+        'lang.label': 'Language',
+        'theme.dark': 'Dark mode',
+
+        'header.logoLabel': 'Lumina Esthetic - Home',
+        'header.cta': 'Book Appointment',
+        'nav.label': 'Main navigation',
+        'nav.home': 'Home',
+        'nav.services': 'Services',
+        'nav.about': 'About',
+        'nav.testimonials': 'Testimonials',
+        'nav.contact': 'Contact',
+
+        'hero.subtitle': 'Aesthetic Medicine in Polanco',
+        'hero.title': 'Look <em>10 years</em> younger without surgery',
+        'hero.description': 'Treatments with Dr. Valentina Reyes. More than 4,200 successful procedures since 2015. Natural results with no downtime.',
+        'hero.ctaServices': 'View Treatments',
+        'hero.ctaConsult': 'Free Consultation',
+        'hero.rating': '4.9 on Google (127 reviews)',
+        'hero.certified': 'COFEPRIS Certified',
+
+        'features.label': 'Key features',
+        'features.cofepris': 'COFEPRIS Registered',
+        'features.since': 'In Polanco since 2015',
+        'features.treatments': '4,200+ Treatments',
+        'features.laser': 'Candela GentleMax Laser',
+
+        'services.label': 'Treatments',
+        'services.title': 'Procedures <em>without surgery</em>',
+        'services.description': 'Every treatment includes a free prior assessment. Final prices, no hidden costs. Financing available.',
+        'services.all': 'View All Services',
+
+        'estimator.title': 'Estimate your quote',
+        'estimator.intro': 'Choose treatments, areas and number of sessions. Package discounts are applied automatically.',
+        'estimator.empty': 'Select at least one area or treatment to see your quote.',
+        'estimator.subtotal': 'Subtotal',
+        'estimator.discount': 'Package discount',
+        'estimator.total': 'Estimated total',
+        'estimator.installments': 'Monthly payments',
+        'estimator.attach': 'Add to my message',
+        'estimator.note': 'Reference prices. The final quote is confirmed at your free assessment.',
+
+        'about.years': 'Years in Polanco',
+        'about.label': 'Our Story',
+        'about.title': 'From a small practice to a <em>benchmark</em> in the area',
+        'about.text1': 'In 2015, after 6 years at Hospital Ángeles, Dr. Valentina Reyes decided to open her own practice. The idea was simple: offer aesthetic medicine with hospital standards, in a warm setting without the rush of a high-volume clinic.',
+        'about.text2': 'Today, with a team of 4 specialists and more than 4,200 treatments performed, we keep the same philosophy: every patient is unique, and every treatment is planned around their specific needs and expectations.',
+        'about.value1': 'Dr. Valentina Reyes - Medical Director (Prof. License 8741256)',
+        'about.value2': 'COFEPRIS Health Registration: 19-AM-09-024-0012',
+        'about.value3': 'Allergan (Botox), Galderma (Restylane) and Candela (Laser) products',
+        'about.value4': 'Up to 12 interest-free monthly payments with participating cards',
+        'about.cta': 'Book a Free Consultation',
+
+        'testimonials.label': 'Verified reviews',
+        'testimonials.title': 'What people say on <em>Google</em>',
+        'testimonials.sliderLabel': 'Testimonials carousel',
+        'testimonials.roleDescription': 'carousel',
+        'testimonials.picker': 'Choose a testimonial',
+        'testimonials.filterLabel': 'Filter by treatment',
+        'testimonials.prev': 'Previous testimonial',
+        'testimonials.next': 'Next testimonial',
+
+        'booking.label': 'Book online',
+        'booking.title': 'Choose your <em>time</em>',
+        'booking.description': 'Select the treatment and the day; we will show you the free times based on the length of each session.',
+        'booking.treatment': 'Treatment',
+        'booking.selectTreatment': 'Select a treatment',
+        'booking.date': 'Date',
+        'booking.slots': 'Available times',
+        'booking.phone': 'Phone / WhatsApp',
+        'booking.submit': 'Book Appointment',
+        'booking.confirmed': 'Appointment Booked!',
+
+        'contact.label': 'Contact',
+        'contact.title': 'Book Your Free <em>Consultation</em>',
+        'contact.description': 'We are here to help you reach your beauty goals. Contact us and one of our specialists will assist you personally.',
+        'contact.location': 'Location',
+        'contact.phone': 'WhatsApp / Phone',
+        'contact.email': 'Email',
+        'contact.hours': 'Opening hours',
+        'contact.follow': 'Follow us:',
+        'contact.name': 'Full name',
+        'contact.namePlaceholder': 'Your name',
+        'contact.emailLabel': 'Email address',
+        'contact.phoneLabel': 'Phone',
+        'contact.service': 'Service of interest',
+        'contact.selectService': 'Select a service',
+        'contact.other': 'Other',
+        'contact.message': 'Message',
+        'contact.messagePlaceholder': 'Tell us how we can help you...',
+        'contact.submit': 'Send Message',
+        'contact.whatsapp': 'Send via WhatsApp instead',
+        'contact.draft.restore': 'Pick up where I left off',
+        'contact.draft.discard': 'Discard',
+        'contact.privacy': 'I have read the <a href="#privacidad">Privacy Notice</a> and authorize the use of my data to reply to my request.',
+
+        'footer.tagline': 'Your destination for beauty and wellness. Where science meets the art of personal care.',
+        'footer.links': 'Links',
+        'footer.services': 'Services',
+        'footer.contact': 'Contact',
+        'footer.rights': 'Lumina Aesthetic. All rights reserved.',
+        'footer.privacy': 'Privacy Policy',
+        'footer.terms': 'Terms of Service',
+        'footer.cookies': 'Cookies',
+
+        'whatsapp.label': 'Contact us on WhatsApp',
+
+        'consent.title': 'Your privacy',
+        'consent.text': 'We use necessary cookies to make the site work and, only with your permission, analytics and marketing cookies to learn which content you find useful. Read our <a href="#cookies">Cookie Policy</a>.',
+        'consent.necessary': 'Necessary',
+        'consent.necessaryText': 'They keep your language, your privacy choices and any messages waiting to be sent. Always on.',
+        'consent.analytics': 'Analytics',
+        'consent.analyticsText': 'They help us measure which sections and buttons are used, without any of your form data.',
+        'consent.marketing': 'Marketing',
+        'consent.marketingText': 'They let us measure our social media campaigns and show you relevant ads.',
+        'consent.reject': 'Reject',
+        'consent.customize': 'Customize',
+        'consent.save': 'Save choices',
+        'consent.accept': 'Accept all',
+
+        'modal.close': 'Close'
+    }
+};
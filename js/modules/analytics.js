@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Analytics: conversion events & consent-aware sinks
+ * @module modules/analytics
+ */
+
+import { CONFIG, SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { Consent } from './consent.js';
+import { I18n } from './i18n.js';
+
+// ============================================================================
+// ANALYTICS MODULE
+// ============================================================================
+
+/**
+ * Conversion analytics. Modules report typed events through track();
+ * events are held in memory until the visitor consents and are then
+ * handed to every active sink. Payloads never carry form contents.
+ * @namespace Analytics
+ */
+export const Analytics = {
+    /**
+     * Event types
+     * @type {Object<string, string>}
+     */
+    events: {
+        ctaClick: 'cta_click',
+        formStart: 'form_start',
+        fieldError: 'form_field_error',
+        submitSuccess: 'form_submit_success',
+        submitError: 'form_submit_error',
+        whatsappClick: 'whatsapp_click',
+        sectionView: 'section_view',
+        sliderInteraction: 'slider_interaction',
+        quoteAttached: 'quote_attached'
+    },
+
+    /**
+     * Registered sinks. Each one receives a single event payload.
+     * @type {Object<string, Function>}
+     */
+    sinks: {
+        /**
+         * Push to the tag manager data layer
+         * @param {Object} event - Event payload
+         */
+        dataLayer(event) {
+            window.dataLayer = window.dataLayer || [];
+            window.dataLayer.push(event);
+        },
+
+        /**
+         * Send to our own collection endpoint
+         * @param {Object} event - Event payload
+         */
+        beacon(event) {
+            const body = JSON.stringify(event);
+
+            if (navigator.sendBeacon) {
+                navigator.sendBeacon(CONFIG.analytics.endpoint, new Blob([body], { type: 'application/json' }));
+            } else {
+                fetch(CONFIG.analytics.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    keepalive: true
+                }).catch(() => {});
+            }
+        },
+
+        /**
+         * Log to the console (development hosts only)
+         * @param {Object} event - Event payload
+         */
+        console(event) {
+            console.info('[analytics]', event.event, event);
+        }
+    },
+    /** @type {string[]} Names of the sinks events are sent to */
+    active: [],
+    /** @type {boolean|null} Consent decision, null until the visitor decides */
+    consent: null,
+    /** @type {Object[]} Events waiting for consent */
+    queue: [],
+    /** @type {Set<string>} Forms that already reported form_start */
+    startedForms: new Set(),
+    /** @type {IntersectionObserver} */
+    observer: null,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize analytics module
+     * @param {HTMLElement|Document} [root=document] - Subtree to manage
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        this.active = [...CONFIG.analytics.sinks];
+        if (CONFIG.analytics.devHosts.includes(window.location.hostname)) {
+            this.active.push('console');
+        }
+
+        if (Consent.isDecided()) this.setConsent(Consent.has('analytics'));
+        Consent.onChange(() => this.setConsent(Consent.has('analytics')), { signal });
+
+        root.addEventListener('click', (e) => this.handleClick(e), { signal });
+        root.addEventListener('input', (e) => this.handleInput(e), { signal });
+
+        this.observeSections(root);
+    },
+
+    /**
+     * Stop listening and observing. Events still waiting for consent
+     * are kept for the next `init()`.
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+
+        if (this.observer) this.observer.disconnect();
+        this.observer = null;
+    },
+
+    /**
+     * Report an event
+     * @param {string} type - One of Analytics.events
+     * @param {Object} [data] - Event properties
+     */
+    track(type, data = {}) {
+        if (!Object.values(this.events).includes(type)) {
+            console.warn(`Unknown analytics event "${type}"`);
+            return;
+        }
+
+        if (this.consent === false) return;
+
+        const event = {
+            event: type,
+            ...data,
+            locale: I18n.locale,
+            path: window.location.pathname,
+            timestamp: new Date().toISOString()
+        };
+
+        if (this.consent) {
+            this.send(event);
+        } else if (this.queue.length < CONFIG.analytics.queueLimit) {
+            this.queue.push(event);
+        }
+    },
+
+    /**
+     * Hand an event to every active sink; a failing sink does not
+     * stop the others
+     * @param {Object} event - Event payload
+     */
+    send(event) {
+        this.active.forEach(name => {
+            const sink = this.sinks[name];
+            if (!sink) return;
+
+            try {
+                sink(event);
+            } catch (error) {
+                console.warn(`Analytics sink "${name}" failed:`, error);
+            }
+        });
+    },
+
+    /**
+     * Record the visitor's consent decision. Granting sends the events
+     * collected so far; refusing discards them.
+     * @param {boolean} granted - Whether analytics is allowed
+     */
+    setConsent(granted) {
+        this.consent = Boolean(granted);
+
+        const pending = this.queue;
+        this.queue = [];
+
+        if (this.consent) {
+            pending.forEach(event => this.send(event));
+        }
+    },
+
+    /**
+     * Register a sink and start sending events to it
+     * @param {string} name - Sink name
+     * @param {Function} sink - (event) => void
+     */
+    registerSink(name, sink) {
+        this.sinks[name] = sink;
+        if (!this.active.includes(name)) this.active.push(name);
+    },
+
+    /**
+     * Track CTA clicks (submit buttons are covered by form events;
+     * `[data-analytics-ignore]` regions are skipped)
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        const cta = e.target.closest(SELECTORS.analyticsCta);
+        if (!cta || cta.type === 'submit' || cta.closest('[data-analytics-ignore]')) return;
+
+        const section = cta.closest('section[id], header, footer');
+
+        this.track(this.events.ctaClick, {
+            label: cta.textContent.replace(/\s+/g, ' ').trim() || cta.getAttribute('aria-label') || '',
+            target: cta.getAttribute('href') || '',
+            section: section ? section.id || section.localName : ''
+        });
+    },
+
+    /**
+     * Track the first input in each form
+     * @param {Event} e - Input event
+     */
+    handleInput(e) {
+        const form = e.target.form;
+        if (!form || !form.id || this.startedForms.has(form.id)) return;
+
+        this.startedForms.add(form.id);
+        this.track(this.events.formStart, { form: form.id });
+    },
+
+    /**
+     * Let a form report form_start again (after a successful submit)
+     * @param {HTMLFormElement} form - Form element
+     */
+    resetForm(form) {
+        this.startedForms.delete(form.id);
+    },
+
+    /**
+     * Report each section the first time it is mostly in view
+     * @param {HTMLElement|Document} [root=document] - Subtree to scan
+     */
+    observeSections(root = document) {
+        if (!('IntersectionObserver' in window)) return;
+
+        this.observer = new IntersectionObserver(
+            (entries) => this.handleIntersection(entries),
+            { threshold: CONFIG.analytics.sectionThreshold }
+        );
+
+        Utils.getElements(SELECTORS.sections, root).forEach(section => this.observer.observe(section));
+    },
+
+    /**
+     * Handle intersection observer callback
+     * @param {IntersectionObserverEntry[]} entries - Observed entries
+     */
+    handleIntersection(entries) {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                this.track(this.events.sectionView, { section: entry.target.id });
+                this.observer.unobserve(entry.target);
+            }
+        });
+    }
+};
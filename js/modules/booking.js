@@ -0,0 +1,652 @@
+/**
+ * @fileoverview Booking: appointment slots & reservations
+ * @module modules/booking
+ */
+
+import { CONFIG, SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { Events } from '../core/events.js';
+import { Analytics } from './analytics.js';
+import { BusinessHours } from './business-hours.js';
+import { I18n } from './i18n.js';
+import { Notifications } from './notifications.js';
+import { Router } from './router.js';
+import { Services } from './services.js';
+import { SubmissionError, Submission } from './submission.js';
+import { Validator } from './validator.js';
+
+// ============================================================================
+// BOOKING MODULE
+// ============================================================================
+
+/**
+ * Online appointment booking. Slots are computed from the treatment
+ * duration, CONFIG.schedule and the busy intervals reported by the
+ * active availability provider. All times are clinic-local.
+ * @namespace Booking
+ */
+export const Booking = {
+    /** @type {HTMLFormElement} */
+    form: null,
+    /** @type {HTMLSelectElement} */
+    serviceSelect: null,
+    /** @type {HTMLInputElement} */
+    dateInput: null,
+    /** @type {HTMLElement} */
+    slotsContainer: null,
+    /** @type {HTMLElement} */
+    slotsStatus: null,
+    /** @type {HTMLElement} */
+    confirmation: null,
+    /** @type {Object<string, {id: string, name: string, duration: number}>} */
+    treatments: {},
+    /** @type {number} */
+    loadRun: 0,
+    /** @type {boolean} */
+    isSubmitting: false,
+    /** @type {{booking: Object, id: string}|null} Last confirmed booking */
+    confirmed: null,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Availability providers. Each one implements
+     * `getBusy({ service, date })` resolving to `[{ start, end }]`
+     * ('HH:MM', clinic time) and `reserve(booking)` resolving to `{ id }`.
+     * @type {Object<string, Object>}
+     */
+    providers: {
+        /**
+         * Remote booking API
+         */
+        http: {
+            getBusy({ service, date }) {
+                const { endpoint } = CONFIG.booking;
+                const query = `service=${encodeURIComponent(service)}&date=${encodeURIComponent(date)}`;
+
+                return Submission.request(`${endpoint}/availability?${query}`, {
+                    headers: { 'Accept': 'application/json' }
+                }, CONFIG.submission).then(body => (body && body.busy) || []);
+            },
+
+            reserve(booking) {
+                return Submission.request(`${CONFIG.booking.endpoint}/bookings`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json'
+                    },
+                    body: JSON.stringify(booking)
+                }, CONFIG.submission);
+            }
+        },
+
+        /**
+         * Development/demo provider: static JSON mock plus reservations
+         * kept in localStorage. Nothing reaches the clinic, so its
+         * reservations are never shown as confirmed.
+         */
+        local: {
+            /** @type {boolean} */
+            demo: true,
+            /** @type {Promise<Object>|null} */
+            data: null,
+
+            load() {
+                if (!this.data) {
+                    this.data = fetch(CONFIG.booking.mockUrl)
+                        .then(response => (response.ok ? response.json() : {}))
+                        .catch(() => ({}));
+                }
+                return this.data;
+            },
+
+            readReservations() {
+                try {
+                    return JSON.parse(localStorage.getItem(CONFIG.booking.storageKey)) || [];
+                } catch (error) {
+                    return [];
+                }
+            },
+
+            async getBusy({ date }) {
+                const data = await this.load();
+                const weekday = Utils.getWeekday(date);
+                const recurring = (data.recurring && data.recurring[weekday]) || [];
+                const busy = (data.busy && data.busy[date]) || [];
+                const reserved = this.readReservations().filter(item => item.date === date);
+
+                return [...recurring, ...busy, ...reserved];
+            },
+
+            async reserve(booking) {
+                const busy = await this.getBusy(booking);
+                if (Booking.overlaps(booking, busy)) {
+                    throw new SubmissionError('Slot taken', { status: 409 });
+                }
+
+                const id = `LUM-${Date.now().toString(36).toUpperCase()}`;
+                const reservations = this.readReservations();
+                reservations.push({ id, date: booking.date, start: booking.start, end: booking.end });
+
+                try {
+                    localStorage.setItem(CONFIG.booking.storageKey, JSON.stringify(reservations));
+                } catch (error) {
+                    // Storage unavailable: reservation only lives for this request
+                }
+
+                return { id };
+            }
+        }
+    },
+
+    /**
+     * Initialize booking module
+     * @param {HTMLElement|Document} [root=document] - Subtree holding the form
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        this.form = Utils.getElement(SELECTORS.bookingForm, root);
+        if (!this.form) return;
+
+        this.serviceSelect = Utils.getElement(SELECTORS.bookingService, this.form);
+        this.dateInput = Utils.getElement(SELECTORS.bookingDate, this.form);
+        this.slotsContainer = Utils.getElement(SELECTORS.bookingSlots, this.form);
+        this.slotsStatus = Utils.getElement(SELECTORS.bookingSlotsStatus, this.form);
+        this.confirmation = Utils.getElement(SELECTORS.bookingConfirmation, root);
+
+        this.setDateRange();
+        this.bindEvents(root);
+
+        // #reservar?servicio=<id> preselects the treatment
+        Router.register('reservar', {
+            enter: params => {
+                if (params.has('servicio')) Services.ready.then(() => this.selectService(params.get('servicio')));
+            }
+        }, { signal });
+
+        Services.ready.then(catalog => {
+            if (signal.aborted) return;
+
+            this.treatments = this.readTreatments(catalog);
+            this.renderServiceOptions();
+            this.loadSlots();
+
+            I18n.onChange(() => {
+                this.treatments = this.readTreatments(Services.catalog);
+                this.renderServiceOptions();
+                this.loadSlots();
+
+                if (this.confirmed && !this.confirmation.hidden) {
+                    const { booking, id } = this.confirmed;
+                    this.showConfirmation(booking, this.treatments[booking.service], id);
+                }
+            }, { signal });
+        });
+    },
+
+    /**
+     * Remove listeners and the route. A slot request still in flight is
+     * ignored when it returns.
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+        this.loadRun++;
+    },
+
+    /**
+     * Register a custom availability provider
+     * @param {string} name - Provider name (usable in CONFIG.booking.provider)
+     * @param {Object} provider - Object with getBusy() and reserve()
+     */
+    registerProvider(name, provider) {
+        this.providers[name] = provider;
+    },
+
+    /**
+     * Active availability provider. An unknown name falls back to the
+     * clinic API, never to the demo provider.
+     * @returns {Object}
+     */
+    getProvider() {
+        return this.providers[CONFIG.booking.provider] || this.providers.http;
+    },
+
+    /**
+     * Build bookable treatments from the services catalog
+     * @param {Object[]} catalog - Catalog entries
+     * @returns {Object<string, Object>} Treatments keyed by id
+     */
+    readTreatments(catalog) {
+        const treatments = {};
+
+        catalog.map(service => Services.localize(service)).forEach(service => {
+            treatments[service.id] = {
+                id: service.id,
+                name: service.name,
+                duration: service.duration || CONFIG.booking.defaultDuration
+            };
+        });
+
+        return treatments;
+    },
+
+    /**
+     * Fill the treatment select from the loaded treatments
+     */
+    renderServiceOptions() {
+        if (!this.serviceSelect) return;
+
+        const selected = this.serviceSelect.value;
+        Utils.getElements('option:not([value=""])', this.serviceSelect).forEach(option => option.remove());
+
+        Object.values(this.treatments).forEach(treatment => {
+            const label = I18n.t('booking.option', { name: treatment.name, duration: treatment.duration });
+            this.serviceSelect.appendChild(new Option(label, treatment.id));
+        });
+
+        this.serviceSelect.value = selected;
+    },
+
+    /**
+     * Limit the date picker to the bookable window and preselect
+     * the first open day
+     */
+    setDateRange() {
+        if (!this.dateInput) return;
+
+        const { min: today, max } = this.getDateRange();
+        this.dateInput.min = today;
+        this.dateInput.max = max;
+
+        let date = today;
+        for (let i = 0; i < 7 && !this.getHours(date); i++) {
+            date = Utils.addDays(date, 1);
+        }
+        this.dateInput.value = date;
+    },
+
+    /**
+     * Bookable dates: today through CONFIG.booking.maxDaysAhead, clinic time
+     * @returns {{min: string, max: string}} ISO dates
+     */
+    getDateRange() {
+        const today = Utils.getZonedParts(new Date(), CONFIG.schedule.timezone).date;
+        return { min: today, max: Utils.addDays(today, CONFIG.booking.maxDaysAhead) };
+    },
+
+    /**
+     * Check the date against the bookable range. The form is `novalidate`,
+     * so the input's min/max are not enforced by the browser.
+     * @param {string} date - ISO date (YYYY-MM-DD)
+     * @returns {boolean} Whether the date is bookable; shows the field error if not
+     */
+    checkDateRange(date) {
+        const { min, max } = this.getDateRange();
+
+        if (date >= min && date <= max) {
+            this.clearError('date');
+            return true;
+        }
+
+        this.showFieldError('date', I18n.t('validation.date.range', {
+            max: I18n.formatDate(max, { day: 'numeric', month: 'long' })
+        }));
+        return false;
+    },
+
+    /**
+     * Bind booking events
+     * @param {HTMLElement|Document} [root=document] - Subtree for delegated clicks
+     */
+    bindEvents(root = document) {
+        const { signal } = this.controller;
+
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e), { signal });
+
+        [this.serviceSelect, this.dateInput].forEach(field => {
+            if (field) field.addEventListener('change', () => this.loadSlots(), { signal });
+        });
+
+        this.slotsContainer.addEventListener('change', () => this.clearError('time'), { signal });
+
+        // Service card links (rendered later) preselect their treatment
+        root.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-booking-service]');
+            if (link) this.selectService(link.dataset.bookingService);
+        }, { signal });
+    },
+
+    /**
+     * Preselect a treatment and refresh slots
+     * @param {string} id - Treatment id
+     */
+    selectService(id) {
+        if (!this.serviceSelect || !this.treatments[id]) return;
+
+        this.serviceSelect.value = id;
+        this.clearError('service');
+        this.loadSlots();
+    },
+
+    /**
+     * Opening hours for a clinic date
+     * @param {string} date - ISO date (YYYY-MM-DD)
+     * @returns {string[]|null} [open, close] or null when closed
+     */
+    getHours(date) {
+        return BusinessHours.getHours(date);
+    },
+
+    /**
+     * Compute free start times for a day
+     * @param {Object} params - Slot parameters
+     * @param {string[]} params.hours - [open, close] ('HH:MM')
+     * @param {number} params.duration - Treatment duration in minutes
+     * @param {number} params.interval - Minutes between candidate starts
+     * @param {Object[]} [params.busy=[]] - Busy intervals ({ start, end })
+     * @param {number} [params.notBefore=0] - Earliest start, minutes from midnight
+     * @returns {string[]} Start times ('HH:MM')
+     */
+    computeSlots({ hours, duration, interval, busy = [], notBefore = 0 }) {
+        const open = Utils.toMinutes(hours[0]);
+        const close = Utils.toMinutes(hours[1]);
+        const slots = [];
+
+        for (let start = open; start + duration <= close; start += interval) {
+            const candidate = {
+                start: Utils.fromMinutes(start),
+                end: Utils.fromMinutes(start + duration)
+            };
+
+            if (start >= notBefore && !this.overlaps(candidate, busy)) {
+                slots.push(candidate.start);
+            }
+        }
+
+        return slots;
+    },
+
+    /**
+     * Whether an interval overlaps any busy interval
+     * @param {{start: string, end: string}} interval - Interval to check
+     * @param {Object[]} busy - Busy intervals
+     * @returns {boolean}
+     */
+    overlaps(interval, busy) {
+        const start = Utils.toMinutes(interval.start);
+        const end = Utils.toMinutes(interval.end);
+
+        return busy.some(item => start < Utils.toMinutes(item.end) && end > Utils.toMinutes(item.start));
+    },
+
+    /**
+     * Load and render the available slots for the current selection
+     */
+    async loadSlots() {
+        const run = ++this.loadRun;
+        const treatment = this.treatments[this.serviceSelect.value];
+        const date = this.dateInput.value;
+
+        this.renderSlots([]);
+
+        if (!treatment || !date) {
+            this.setSlotsStatus(I18n.t('booking.status.pick'));
+            return;
+        }
+
+        if (!this.checkDateRange(date)) {
+            this.setSlotsStatus(I18n.t('booking.status.pick'));
+            return;
+        }
+
+        const hours = this.getHours(date);
+        if (!hours) {
+            this.setSlotsStatus(I18n.t('booking.status.closed'));
+            return;
+        }
+
+        this.setSlotsStatus(I18n.t('booking.status.loading'));
+
+        try {
+            const busy = await this.getProvider().getBusy({ service: treatment.id, date });
+            if (run !== this.loadRun) return;
+
+            const now = Utils.getZonedParts(new Date(), CONFIG.schedule.timezone);
+            const slots = this.computeSlots({
+                hours,
+                duration: treatment.duration,
+                interval: CONFIG.booking.slotInterval,
+                busy,
+                notBefore: date === now.date ? now.minutes + CONFIG.booking.minNotice : 0
+            });
+
+            this.renderSlots(slots);
+            this.setSlotsStatus(slots.length > 0
+                ? I18n.t('booking.status.available', { count: I18n.formatNumber(slots.length) })
+                : I18n.t('booking.status.none'));
+        } catch (error) {
+            if (run !== this.loadRun) return;
+            console.error('Booking availability error:', error);
+            this.setSlotsStatus(I18n.t('booking.status.error'));
+        }
+    },
+
+    /**
+     * Render slot radio buttons
+     * @param {string[]} slots - Start times
+     */
+    renderSlots(slots) {
+        this.slotsContainer.textContent = '';
+
+        slots.forEach(time => {
+            const id = `booking-slot-${time.replace(':', '')}`;
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = 'time';
+            input.value = time;
+            input.id = id;
+            input.className = 'booking__slot-input';
+
+            const label = document.createElement('label');
+            label.htmlFor = id;
+            label.className = 'booking__slot';
+            label.textContent = time;
+
+            this.slotsContainer.append(input, label);
+        });
+    },
+
+    /**
+     * Update the slots status line
+     * @param {string} message - Status text
+     */
+    setSlotsStatus(message) {
+        if (this.slotsStatus) {
+            this.slotsStatus.textContent = message;
+        }
+    },
+
+    /**
+     * Handle booking submission
+     * @param {Event} e - Submit event
+     */
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        if (this.isSubmitting) return;
+
+        const isValid = await this.validate();
+        if (!isValid) {
+            const invalid = this.form.querySelector('[aria-invalid="true"]');
+            if (invalid) invalid.focus();
+            return;
+        }
+
+        const data = Object.fromEntries(new FormData(this.form));
+        const treatment = this.treatments[data.service];
+        const booking = {
+            service: treatment.id,
+            date: data.date,
+            start: data.time,
+            end: Utils.fromMinutes(Utils.toMinutes(data.time) + treatment.duration),
+            name: data.name.trim(),
+            email: data.email.trim(),
+            phone: data.phone.trim()
+        };
+
+        this.isSubmitting = true;
+        const submitBtn = Utils.getElement('.booking-form__submit', this.form);
+        submitBtn.classList.add('loading');
+        submitBtn.disabled = true;
+
+        try {
+            const provider = this.getProvider();
+            const result = await provider.reserve(booking);
+
+            if (provider.demo) {
+                this.showDemoNotice(booking, treatment);
+                return;
+            }
+
+            Analytics.track(Analytics.events.submitSuccess, { form: this.form.id, service: booking.service });
+            Analytics.resetForm(this.form);
+
+            this.showConfirmation(booking, treatment, result && result.id);
+            Events.emit('booking:confirmed', { booking, id: result && result.id });
+            Notifications.success(I18n.t('notifications.bookingConfirmed', {
+                service: treatment.name,
+                date: I18n.formatDate(booking.date, { weekday: 'long', day: 'numeric', month: 'long' }),
+                time: booking.start
+            }));
+        } catch (error) {
+            const taken = error instanceof SubmissionError && error.status === 409;
+            const reason = taken ? 'slot_taken' : 'delivery';
+            Analytics.track(Analytics.events.submitError, { form: this.form.id, service: booking.service, reason });
+            Events.emit('form:failed', { form: this.form.id, reason, error });
+
+            if (taken) {
+                this.showFieldError('time', I18n.t('booking.slotTaken'));
+                this.loadSlots();
+            } else {
+                console.error('Booking error:', error);
+                Notifications.error(I18n.t('booking.error'));
+            }
+        } finally {
+            this.isSubmitting = false;
+            submitBtn.classList.remove('loading');
+            submitBtn.disabled = false;
+        }
+    },
+
+    /**
+     * Validate booking fields (data-validate-* rules) and slot choice
+     * @returns {Promise<boolean>} Whether the booking is valid
+     */
+    async validate() {
+        const fields = Utils.getElements('input[name]:not([type="radio"]), select[name]', this.form);
+        const results = await Promise.all(fields.map(async field => {
+            const error = await Validator.validate(field, Validator.getRules(field));
+            if (error) {
+                this.showFieldError(field.name, error);
+            } else {
+                this.clearError(field.name);
+            }
+            return !error;
+        }));
+
+        if (this.dateInput && this.dateInput.value && !this.checkDateRange(this.dateInput.value)) {
+            results.push(false);
+        }
+
+        if (!this.form.querySelector('input[name="time"]:checked')) {
+            this.showFieldError('time', I18n.t('validation.time.required'));
+            results.push(false);
+        }
+
+        return results.every(Boolean);
+    },
+
+    /**
+     * Show field error message
+     * @param {string} name - Field name
+     * @param {string} message - Error message
+     */
+    showFieldError(name, message) {
+        const errorEl = Utils.getElement(`#booking-${name}-error`, this.form);
+        const field = this.form.elements[name];
+
+        Analytics.track(Analytics.events.fieldError, { form: this.form.id, field: name });
+
+        if (errorEl) {
+            errorEl.textContent = message;
+        }
+
+        if (field && field.classList) {
+            field.classList.add('error');
+            field.setAttribute('aria-invalid', 'true');
+        }
+    },
+
+    /**
+     * Clear field error
+     * @param {string} name - Field name
+     */
+    clearError(name) {
+        const errorEl = Utils.getElement(`#booking-${name}-error`, this.form);
+        const field = this.form.elements[name];
+
+        if (errorEl) {
+            errorEl.textContent = '';
+        }
+
+        if (field && field.classList) {
+            field.classList.remove('error');
+            field.removeAttribute('aria-invalid');
+        }
+    },
+
+    /**
+     * Tell the visitor a demo reservation was not sent to the clinic.
+     * The form stays, and the slot just taken drops out of the list.
+     * @param {Object} booking - Demo booking
+     * @param {Object} treatment - Booked treatment
+     */
+    showDemoNotice(booking, treatment) {
+        Notifications.warning(I18n.t('booking.demo', {
+            service: treatment.name,
+            date: I18n.formatDate(booking.date, { weekday: 'long', day: 'numeric', month: 'long' }),
+            time: booking.start
+        }));
+        this.loadSlots();
+    },
+
+    /**
+     * Replace the form with the booking confirmation
+     * @param {Object} booking - Reserved booking
+     * @param {Object} treatment - Booked treatment
+     * @param {string} [id] - Reservation reference
+     */
+    showConfirmation(booking, treatment, id) {
+        if (!this.confirmation) return;
+
+        this.confirmed = { booking, id };
+
+        const date = I18n.formatDate(booking.date, { weekday: 'long', day: 'numeric', month: 'long' });
+        const name = treatment ? treatment.name : booking.service;
+        const text = Utils.getElement('.booking__confirmation-text', this.confirmation);
+        if (text) {
+            text.textContent = [
+                I18n.t('booking.confirmation', { service: name, date, time: booking.start }),
+                id ? I18n.t('booking.reference', { id }) : '',
+                I18n.t('booking.notice')
+            ].filter(Boolean).join(' ');
+        }
+
+        this.form.hidden = true;
+        this.confirmation.hidden = false;
+    }
+};
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Business Hours: live open/closed status
+ * @module modules/business-hours
+ */
+
+import { CONFIG, SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { I18n } from './i18n.js';
+
+// ============================================================================
+// BUSINESS HOURS MODULE
+// ============================================================================
+
+/**
+ * Live "open now" status. Works in clinic time (CONFIG.schedule.timezone)
+ * whatever the visitor's timezone, honouring date exceptions and
+ * closures. Fills `[data-business-status]` elements and adds a
+ * "we'll reply when we open" hint to the WhatsApp button while closed.
+ * @namespace BusinessHours
+ */
+export const BusinessHours = {
+    /** @type {HTMLElement[]} */
+    elements: [],
+    /** @type {HTMLElement|null} */
+    whatsappHint: null,
+    /** @type {number|null} */
+    timer: null,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize business hours module
+     * @param {HTMLElement|Document} [root=document] - Subtree to manage
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        this.elements = Utils.getElements(SELECTORS.businessStatus, root);
+        this.whatsappHint = Utils.getElement(SELECTORS.whatsappHint, root);
+
+        this.update();
+        this.scheduleUpdate();
+
+        I18n.onChange(() => this.update(), { signal });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.update();
+        }, { signal });
+    },
+
+    /**
+     * Stop the minute timer and remove listeners
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+
+        clearTimeout(this.timer);
+        this.timer = null;
+    },
+
+    /**
+     * Opening hours for a clinic date: exceptions first, then closures,
+     * then the weekly schedule
+     * @param {string} date - ISO date (YYYY-MM-DD)
+     * @returns {string[]|null} [open, close] or null when closed
+     */
+    getHours(date) {
+        const { exceptions = {}, closures = [], hours } = CONFIG.schedule;
+
+        if (date in exceptions) return exceptions[date];
+        if (closures.some(({ from, to }) => date >= from && date <= to)) return null;
+
+        return hours[Utils.getWeekday(date)] || null;
+    },
+
+    /**
+     * Compute the clinic status at a moment
+     * @param {Date} [now=new Date()] - Moment to check
+     * @returns {{ isOpen: boolean, closes?: string, opens?: { date: string, time: string, inDays: number } }}
+     */
+    getStatus(now = new Date()) {
+        const today = Utils.getZonedParts(now, CONFIG.schedule.timezone);
+        const hours = this.getHours(today.date);
+
+        if (hours && today.minutes >= Utils.toMinutes(hours[0]) && today.minutes < Utils.toMinutes(hours[1])) {
+            return { isOpen: true, closes: hours[1] };
+        }
+
+        // Look ahead for the next opening (holiday runs included)
+        for (let inDays = 0; inDays <= 31; inDays++) {
+            const date = Utils.addDays(today.date, inDays);
+            const next = this.getHours(date);
+
+            if (next && (inDays > 0 || today.minutes < Utils.toMinutes(next[0]))) {
+                return { isOpen: false, opens: { date, time: next[0], inDays } };
+            }
+        }
+
+        return { isOpen: false };
+    },
+
+    /**
+     * Status sentence for the active locale
+     * @param {Object} status - Result of getStatus()
+     * @returns {string} e.g. "Abierto ahora · cierra a las 19:00"
+     */
+    formatStatus(status) {
+        if (status.isOpen) {
+            return I18n.t('hours.open', { time: status.closes });
+        }
+
+        if (!status.opens) {
+            return I18n.t('hours.closed');
+        }
+
+        const { date, time, inDays } = status.opens;
+
+        if (inDays === 0) return I18n.t('hours.opensToday', { time });
+        if (inDays === 1) return I18n.t('hours.opensTomorrow', { time });
+
+        // Within a week the weekday is enough; further out show the date
+        const day = inDays < 7
+            ? I18n.formatDate(date, { weekday: 'long' })
+            : I18n.formatDate(date, { day: 'numeric', month: 'long' });
+
+        return I18n.t('hours.opensOn', { day, time });
+    },
+
+    /**
+     * Refresh every status element and the WhatsApp hint
+     */
+    update() {
+        const status = this.getStatus();
+        const text = this.formatStatus(status);
+        const state = status.isOpen ? 'open' : 'closed';
+
+        this.elements.forEach(el => {
+            el.textContent = text;
+            el.dataset.state = state;
+            el.hidden = false;
+        });
+
+        if (this.whatsappHint) {
+            this.whatsappHint.textContent = status.isOpen ? '' : I18n.t('whatsapp.closedHint', { status: text });
+            this.whatsappHint.hidden = status.isOpen;
+        }
+    },
+
+    /**
+     * Update on every minute boundary
+     */
+    scheduleUpdate() {
+        clearTimeout(this.timer);
+
+        const delay = 60000 - (Date.now() % 60000);
+        this.timer = setTimeout(() => {
+            this.update();
+            this.scheduleUpdate();
+        }, delay);
+    }
+};
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Business Profile: contact details & LocalBusiness JSON-LD
+ * @module modules/business-profile
+ */
+
+import { CONFIG } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { I18n } from './i18n.js';
+import { Services } from './services.js';
+import { WhatsApp } from './whatsapp.js';
+
+// ============================================================================
+// BUSINESS PROFILE MODULE
+// ============================================================================
+
+/**
+ * Business profile. Renders the contact details (`data-business`
+ * hooks) and the LocalBusiness JSON-LD from CONFIG.business and
+ * CONFIG.schedule, so search data always matches the page.
+ *
+ * Markup hooks: `data-business="street|area|address|phone|email|whatsapp|hours"`
+ * @namespace BusinessProfile
+ */
+export const BusinessProfile = {
+    /** @type {string[]} Schema.org day names by weekday (0 = Sunday) */
+    days: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    /** @type {HTMLElement|Document} */
+    root: document,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize business profile module
+     * @param {HTMLElement|Document} [root=document] - Subtree to render into
+     */
+    init(root = document) {
+        this.root = root;
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        this.render();
+        I18n.onChange(() => this.render(), { signal });
+
+        // Offers come from the services catalog
+        Services.ready.then(catalog => {
+            if (!signal.aborted) this.renderStructuredData(catalog);
+        });
+    },
+
+    /**
+     * Stop re-rendering on locale changes. The JSON-LD stays in place.
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+    },
+
+    /**
+     * Schema.org reference to the business node, for other JSON-LD blocks
+     * @returns {Object}
+     */
+    getReference() {
+        const { type, id, name } = CONFIG.business;
+        return { '@type': type, '@id': id, name };
+    },
+
+    /**
+     * Address as display lines
+     * @returns {string[]} [street, "Neighborhood, ZIP Region"]
+     */
+    getAddressLines() {
+        const { street, neighborhood, postalCode, region } = CONFIG.business.address;
+        return [street, `${neighborhood}, ${postalCode} ${region}`];
+    },
+
+    /**
+     * Group weekdays that share the same hours, Monday first
+     * @returns {{ days: number[], opens: string, closes: string }[]}
+     */
+    getHoursGroups() {
+        const groups = [];
+
+        [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+            const hours = CONFIG.schedule.hours[day];
+            if (!hours) return;
+
+            const [opens, closes] = hours;
+            const last = groups[groups.length - 1];
+            const isNextDay = last && (last.days[last.days.length - 1] + 1) % 7 === day;
+
+            if (isNextDay && last.opens === opens && last.closes === closes) {
+                last.days.push(day);
+            } else {
+                groups.push({ days: [day], opens, closes });
+            }
+        });
+
+        return groups;
+    },
+
+    /**
+     * Localized short weekday name
+     * @param {number} day - Weekday (0 = Sunday)
+     * @returns {string} e.g. "Lun"
+     */
+    formatDay(day) {
+        // 2024-01-07 was a Sunday
+        const name = I18n.formatDate(`2024-01-${String(7 + day).padStart(2, '0')}`, { weekday: 'short' });
+        return name.charAt(0).toUpperCase() + name.slice(1).replace(/\.$/, '');
+    },
+
+    /**
+     * Opening hours as display lines
+     * @returns {string[]} e.g. ["Lun - Vie: 10:00 - 19:00", "Sáb: 10:00 - 14:00"]
+     */
+    getHoursLines() {
+        return this.getHoursGroups().map(({ days, opens, closes }) => {
+            const first = this.formatDay(days[0]);
+            const range = days.length > 1 ? `${first} - ${this.formatDay(days[days.length - 1])}` : first;
+            return `${range}: ${opens} - ${closes}`;
+        });
+    },
+
+    /**
+     * Fill every `data-business` hook
+     */
+    render() {
+        Utils.getElements('[data-business]', this.root).forEach(el => this.renderField(el, el.dataset.business));
+    },
+
+    /**
+     * Fill a single hook
+     * @param {HTMLElement} el - Hook element
+     * @param {string} field - Profile field
+     */
+    renderField(el, field) {
+        const business = CONFIG.business;
+        const [street, area] = this.getAddressLines();
+
+        switch (field) {
+            case 'street':
+                el.textContent = street;
+                break;
+            case 'area':
+                el.textContent = area;
+                break;
+            case 'address':
+                this.setLines(el, [street, area]);
+                break;
+            case 'hours':
+                this.setLines(el, this.getHoursLines());
+                break;
+            case 'phone':
+                el.href = `tel:${business.phone}`;
+                el.textContent = business.phoneDisplay;
+                break;
+            case 'email':
+                el.href = `mailto:${business.email}`;
+                el.textContent = business.email;
+                break;
+            case 'whatsapp':
+                // Icon links: only the target changes
+                el.href = WhatsApp.buildUrl();
+                break;
+        }
+    },
+
+    /**
+     * Replace an element's content with lines separated by <br>
+     * @param {HTMLElement} el - Target element
+     * @param {string[]} lines - Text lines
+     */
+    setLines(el, lines) {
+        el.textContent = '';
+        lines.forEach((line, index) => {
+            if (index > 0) el.appendChild(document.createElement('br'));
+            el.appendChild(document.createTextNode(line));
+        });
+    },
+
+    /**
+     * Build the LocalBusiness JSON-LD, with one Offer per catalog price
+     * @param {Object[]} [catalog=[]] - Services catalog
+     * @returns {Object}
+     */
+    getStructuredData(catalog = []) {
+        const business = CONFIG.business;
+        const { street, neighborhood, postalCode, locality, region, country } = business.address;
+
+        const data = {
+            '@context': 'https://schema.org',
+            ...this.getReference(),
+            description: business.description,
+            url: business.url,
+            telephone: business.phone,
+            email: business.email,
+            priceRange: business.priceRange,
+            address: {
+                '@type': 'PostalAddress',
+                streetAddress: `${street}, ${neighborhood}`,
+                addressLocality: locality,
+                addressRegion: region,
+                postalCode,
+                addressCountry: country
+            },
+            openingHoursSpecification: this.getHoursGroups().map(({ days, opens, closes }) => ({
+                '@type': 'OpeningHoursSpecification',
+                dayOfWeek: days.map(day => this.days[day]),
+                opens,
+                closes
+            }))
+        };
+
+        if (catalog.length > 0) {
+            data.hasOfferCatalog = {
+                '@type': 'OfferCatalog',
+                name: 'Tratamientos',
+                itemListElement: catalog.flatMap(service => (service.prices || []).map(item => ({
+                    '@type': 'Offer',
+                    name: item.name,
+                    price: item.price,
+                    priceCurrency: Services.currency,
+                    itemOffered: {
+                        '@type': 'Service',
+                        name: service.name,
+                        description: service.description
+                    }
+                })))
+            };
+        }
+
+        return data;
+    },
+
+    /**
+     * Inject (or replace) the LocalBusiness JSON-LD block
+     * @param {Object[]} [catalog] - Services catalog
+     */
+    renderStructuredData(catalog) {
+        let script = document.getElementById('business-jsonld');
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.id = 'business-jsonld';
+            document.head.appendChild(script);
+        }
+
+        script.textContent = JSON.stringify(this.getStructuredData(catalog));
+    }
+};
@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Consent: cookie & privacy choices by category
+ * @module modules/consent
+ */
+
+import { CONFIG, SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { Events } from '../core/events.js';
+
+// ============================================================================
+// CONSENT MODULE
+// ============================================================================
+
+/**
+ * Cookie and privacy consent by category (necessary, analytics,
+ * marketing). The decision is stored with CONFIG.consent.version and
+ * asked again when the version changes or the decision expires.
+ * Modules check has() or wait on whenGranted() before loading anything
+ * that depends on a category.
+ * @namespace Consent
+ */
+export const Consent = {
+    /** @type {HTMLElement} */
+    panel: null,
+    /** @type {HTMLFormElement} */
+    preferences: null,
+    /** @type {Object|null} Stored decision: { version, date, choices } */
+    state: null,
+    /** @type {Function[]} */
+    listeners: [],
+    /** @type {HTMLElement|null} Element to refocus when the panel closes */
+    returnFocus: null,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize consent module
+     * @param {HTMLElement|Document} [root=document] - Subtree to manage
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        this.state = this.load();
+        this.panel = Utils.getElement(SELECTORS.consent, root);
+        this.preferences = Utils.getElement(SELECTORS.consentPreferences, root);
+
+        if (!this.panel) return;
+
+        this.panel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-consent-action]');
+            if (button) this.handleAction(button.dataset.consentAction);
+        }, { signal });
+
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.state) this.close();
+        }, { signal });
+
+        root.addEventListener('click', (e) => {
+            const trigger = e.target.closest(SELECTORS.consentOpen);
+            if (!trigger) return;
+
+            e.preventDefault();
+            this.open(true);
+        }, { signal });
+
+        if (!this.state) this.open(false);
+    },
+
+    /**
+     * Remove the panel listeners. The stored decision and external
+     * subscribers are kept.
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+        this.returnFocus = null;
+    },
+
+    /**
+     * Read the stored decision; outdated or expired decisions are ignored
+     * @returns {Object|null} Decision
+     */
+    load() {
+        try {
+            const state = JSON.parse(localStorage.getItem(CONFIG.consent.storageKey));
+            if (!state || state.version !== CONFIG.consent.version) return null;
+            if (Date.now() - Date.parse(state.date) > CONFIG.consent.maxAge) return null;
+            return state;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Whether a category is allowed. Necessary is always allowed.
+     * @param {string} category - Consent category
+     * @returns {boolean}
+     */
+    has(category) {
+        if (category === 'necessary') return true;
+        return Boolean(this.state && this.state.choices[category]);
+    },
+
+    /**
+     * Whether the visitor has made a choice
+     * @returns {boolean}
+     */
+    isDecided() {
+        return Boolean(this.state);
+    },
+
+    /**
+     * Resolve once a category is allowed
+     * @param {string} category - Consent category
+     * @returns {Promise<void>}
+     */
+    whenGranted(category) {
+        if (this.has(category)) return Promise.resolve();
+
+        return new Promise(resolve => {
+            const listener = () => {
+                if (!this.has(category)) return;
+                this.listeners.splice(this.listeners.indexOf(listener), 1);
+                resolve();
+            };
+            this.onChange(listener);
+        });
+    },
+
+    /**
+     * Subscribe to consent changes
+     * @param {Function} callback - Receives the choices object
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Unsubscribes on abort
+     */
+    onChange(callback, { signal } = {}) {
+        Utils.subscribe(this.listeners, callback, signal);
+    },
+
+    /**
+     * Store a decision and notify subscribers
+     * @param {Object<string, boolean>} choices - Choice per optional category
+     */
+    save(choices) {
+        const optional = CONFIG.consent.categories.filter(category => category !== 'necessary');
+
+        this.state = {
+            version: CONFIG.consent.version,
+            date: new Date().toISOString(),
+            choices: Object.fromEntries(optional.map(category => [category, Boolean(choices[category])]))
+        };
+
+        try {
+            localStorage.setItem(CONFIG.consent.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            // Storage unavailable: the choice lasts for this visit
+        }
+
+        [...this.listeners].forEach(listener => listener(this.state.choices));
+        Events.emit('consent:changed', { choices: { ...this.state.choices } });
+        this.close();
+    },
+
+    /**
+     * Handle a panel button
+     * @param {string} action - accept, reject, customize or save
+     */
+    handleAction(action) {
+        const optional = CONFIG.consent.categories.filter(category => category !== 'necessary');
+
+        switch (action) {
+            case 'accept':
+                this.save(Object.fromEntries(optional.map(category => [category, true])));
+                break;
+            case 'reject':
+                this.save({});
+                break;
+            case 'customize':
+                this.showPreferences();
+                break;
+            case 'save':
+                this.save(Object.fromEntries(optional.map(category => [
+                    category,
+                    Boolean(this.preferences.elements[category] && this.preferences.elements[category].checked)
+                ])));
+                break;
+        }
+    },
+
+    /**
+     * Show the panel
+     * @param {boolean} customize - Open straight into the category choices
+     */
+    open(customize) {
+        this.returnFocus = customize ? document.activeElement : null;
+        this.panel.hidden = false;
+
+        if (customize) {
+            this.showPreferences();
+        } else {
+            this.togglePreferences(false);
+        }
+    },
+
+    /**
+     * Reveal the category choices, reflecting the current decision
+     */
+    showPreferences() {
+        this.togglePreferences(true);
+
+        Array.from(this.preferences.elements).forEach(input => {
+            if (!input.disabled) input.checked = this.has(input.name);
+        });
+
+        const first = this.preferences.querySelector('input:not(:disabled)');
+        if (first) first.focus();
+    },
+
+    /**
+     * Switch between the summary and the category choices
+     * @param {boolean} expanded - Whether the choices are visible
+     */
+    togglePreferences(expanded) {
+        this.preferences.hidden = !expanded;
+        Utils.getElement('[data-consent-action="customize"]', this.panel).hidden = expanded;
+        Utils.getElement('[data-consent-action="save"]', this.panel).hidden = !expanded;
+    },
+
+    /**
+     * Hide the panel and return focus to its opener
+     */
+    close() {
+        const hadFocus = this.panel.contains(document.activeElement);
+        this.panel.hidden = true;
+
+        if (hadFocus && this.returnFocus && document.contains(this.returnFocus)) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+};
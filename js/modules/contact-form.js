@@ -0,0 +1,531 @@
+/**
+ * @fileoverview Contact Form: validation & submission
+ * @module modules/contact-form
+ */
+
+import { CONFIG, SELECTORS, VALIDATION_SCHEMA } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { Events } from '../core/events.js';
+import { Analytics } from './analytics.js';
+import { I18n } from './i18n.js';
+import { Notifications } from './notifications.js';
+import { Outbox } from './outbox.js';
+import { Router } from './router.js';
+import { Services } from './services.js';
+import { SpamGuard } from './spam-guard.js';
+import { SubmissionError, Submission } from './submission.js';
+import { Validator } from './validator.js';
+
+// ============================================================================
+// CONTACT FORM MODULE
+// ============================================================================
+
+/**
+ * Contact form functionality
+ * @namespace ContactForm
+ */
+export const ContactForm = {
+    /** @type {HTMLFormElement} */
+    form: null,
+    /** @type {HTMLElement} */
+    successMessage: null,
+    /** @type {Object<string, HTMLElement>} */
+    fields: {},
+    /** @type {Object<string, number>} */
+    validationRuns: {},
+    /** @type {boolean} */
+    isSubmitting: false,
+    /** @type {HTMLElement} */
+    draftPrompt: null,
+    /** @type {Object|null} Saved draft waiting for restore or discard */
+    pendingDraft: null,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize form module
+     * @param {HTMLElement|Document} [root=document] - Subtree holding the form
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+        this.form = Utils.getElement(SELECTORS.contactForm, root);
+        this.successMessage = Utils.getElement(SELECTORS.formSuccess, root);
+
+        if (!this.form) return;
+
+        // Every named control is a field; new ones need no JS changes
+        this.fields = {};
+        Utils.getElements('input[name], select[name], textarea[name]', this.form).forEach(field => {
+            this.fields[field.name] = field;
+        });
+
+        this.draftPrompt = Utils.getElement(SELECTORS.contactDraft, this.form);
+
+        this.bindEvents();
+
+        const draft = this.readDraft();
+        if (draft) this.showDraftPrompt(draft);
+
+        // #contacto?servicio=<id> preselects the service of interest
+        Router.register('contacto', {
+            enter: params => {
+                if (params.has('servicio')) Services.ready.then(() => this.selectService(params.get('servicio')));
+            }
+        }, { signal: this.controller.signal });
+    },
+
+    /**
+     * Remove form listeners and the route. Typed values are kept.
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+    },
+
+    /**
+     * Preselect the service of interest
+     * @param {string} id - Service id (or "otro")
+     */
+    selectService(id) {
+        const select = this.fields.service;
+        if (!select || !Array.from(select.options).some(option => option.value === id)) return;
+
+        select.value = id;
+        this.clearError('service');
+    },
+
+    /**
+     * Bind form events
+     */
+    bindEvents() {
+        const { signal } = this.controller;
+
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e), { signal });
+        SpamGuard.protect(this.form, { signal });
+
+        // Re-translate a visible success panel and draft prompt
+        I18n.onChange(() => {
+            if (this.successMessage && !this.successMessage.hidden) {
+                this.showSuccess(this.successMessage.dataset.status);
+            }
+            if (this.pendingDraft) this.showDraftPrompt(this.pendingDraft);
+        }, { signal });
+
+        // Real-time validation
+        Object.entries(this.fields).forEach(([name, field]) => {
+            if (field) {
+                field.addEventListener('blur', () => this.validateField(name, field), { signal });
+                field.addEventListener('input', () => this.clearError(name), { signal });
+            }
+        });
+
+        // Autosave as the visitor types. Typing before answering the
+        // prompt starts a new draft in place of the saved one.
+        const save = Utils.debounce(() => {
+            if (!signal.aborted) this.saveDraft();
+        }, CONFIG.contactDraft.delay);
+
+        this.form.addEventListener('input', (e) => {
+            if (!e.target.name) return;
+            if (this.pendingDraft) this.hideDraftPrompt();
+            save();
+        }, { signal });
+
+        if (this.draftPrompt) {
+            this.draftPrompt.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-draft-action]');
+                if (!button) return;
+
+                if (button.dataset.draftAction === 'restore') {
+                    this.restoreDraft();
+                } else {
+                    this.discardDraft();
+                }
+            }, { signal });
+        }
+    },
+
+    /**
+     * Read the saved draft; expired drafts are deleted
+     * @returns {Object|null} Draft: { savedAt, fields }
+     */
+    readDraft() {
+        try {
+            const draft = JSON.parse(localStorage.getItem(CONFIG.contactDraft.storageKey));
+            if (!draft) return null;
+
+            if (Date.now() - draft.savedAt > CONFIG.contactDraft.maxAge) {
+                this.clearDraft();
+                return null;
+            }
+            return draft;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Store the filled-in fields (an empty form deletes the draft)
+     */
+    saveDraft() {
+        const data = this.getData();
+        const fields = {};
+
+        Object.entries(this.fields).forEach(([name, field]) => {
+            if (field.type === 'checkbox' || name === CONFIG.spam.honeypot) return;
+            if (CONFIG.contactDraft.exclude.includes(name)) return;
+            if (data[name]) fields[name] = data[name];
+        });
+
+        if (Object.keys(fields).length === 0) {
+            this.clearDraft();
+            return;
+        }
+
+        try {
+            localStorage.setItem(CONFIG.contactDraft.storageKey, JSON.stringify({ savedAt: Date.now(), fields }));
+        } catch (error) {
+            // Storage unavailable or full: nothing to restore later
+        }
+    },
+
+    /**
+     * Delete the saved draft
+     */
+    clearDraft() {
+        try {
+            localStorage.removeItem(CONFIG.contactDraft.storageKey);
+        } catch (error) {
+            // Storage unavailable
+        }
+    },
+
+    /**
+     * Offer to continue a saved draft
+     * @param {Object} draft - Draft from readDraft()
+     */
+    showDraftPrompt(draft) {
+        this.pendingDraft = draft;
+        if (!this.draftPrompt) return;
+
+        const text = Utils.getElement(SELECTORS.contactDraftText, this.draftPrompt);
+        text.textContent = I18n.t('contact.draft.text', {
+            date: I18n.formatDate(new Date(draft.savedAt), { dateStyle: 'medium', timeStyle: 'short' })
+        });
+        this.draftPrompt.hidden = false;
+    },
+
+    /**
+     * Hide the draft prompt, keeping keyboard focus in the form
+     */
+    hideDraftPrompt() {
+        this.pendingDraft = null;
+        if (!this.draftPrompt) return;
+
+        const hadFocus = this.draftPrompt.contains(document.activeElement);
+        this.draftPrompt.hidden = true;
+
+        if (hadFocus) {
+            const first = Object.values(this.fields).find(field => !field.value) || Object.values(this.fields)[0];
+            if (first) first.focus();
+        }
+    },
+
+    /**
+     * Fill the form from the pending draft
+     */
+    async restoreDraft() {
+        if (!this.pendingDraft) return;
+        const { fields } = this.pendingDraft;
+
+        // Catalog options must exist before a saved service can be selected
+        await Services.ready;
+
+        Object.entries(fields).forEach(([name, value]) => {
+            const field = this.fields[name];
+            if (field && field.type !== 'checkbox') field.value = value;
+        });
+
+        this.hideDraftPrompt();
+    },
+
+    /**
+     * Drop the pending draft and start with an empty form
+     */
+    discardDraft() {
+        this.clearDraft();
+        this.hideDraftPrompt();
+    },
+
+    /**
+     * Handle form submission
+     * @param {Event} e - Submit event
+     */
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        if (this.isSubmitting) return;
+
+        // Validate all fields
+        const isValid = await this.validateAll();
+        if (!isValid) {
+            this.focusFirstError();
+            return;
+        }
+
+        const blocked = SpamGuard.check(this.form);
+        if (blocked) {
+            Events.emit('form:blocked', { form: this.form.id, reason: blocked });
+
+            // Only bots fill the honeypot: they see the usual success
+            // panel and nothing is sent. People can be too fast (autofill)
+            // or over the rate limit, so they get a real error and keep
+            // their message and draft.
+            if (blocked === 'honeypot') {
+                this.showSuccess('sent');
+                this.resetAfterSubmit();
+            } else {
+                this.showError(I18n.t(blocked === 'too_fast' ? 'contact.tooFast' : 'contact.rateLimited'));
+            }
+            return;
+        }
+
+        // Show loading state
+        this.isSubmitting = true;
+        const submitBtn = this.form.querySelector('.contact-form__submit');
+        submitBtn.classList.add('loading');
+        submitBtn.disabled = true;
+
+        try {
+            const data = await SpamGuard.stamp(this.form, this.getData());
+            const status = await this.deliver(data);
+            SpamGuard.recordSend();
+
+            Analytics.track(Analytics.events.submitSuccess, { form: this.form.id, status });
+            Analytics.resetForm(this.form);
+            Events.emit('form:submitted', { form: this.form.id, status, data });
+
+            // Show success message. A hand-off to the mail app is not
+            // confirmed, so the message and its draft are kept.
+            this.showSuccess(status);
+            if (status !== 'handedOff') this.resetAfterSubmit();
+
+            if (status === 'queued') {
+                Notifications.warning(I18n.t('notifications.queued'));
+            }
+        } catch (error) {
+            const invalid = error instanceof SubmissionError && error.hasFieldErrors();
+            const reason = invalid ? 'validation' : 'delivery';
+            Analytics.track(Analytics.events.submitError, { form: this.form.id, reason });
+            Events.emit('form:failed', { form: this.form.id, reason, error });
+
+            if (invalid) {
+                this.showFieldErrors(error.fieldErrors);
+            } else {
+                console.error('Form submission error:', error);
+                this.showError(I18n.t('contact.error'));
+            }
+        } finally {
+            this.isSubmitting = false;
+            submitBtn.classList.remove('loading');
+            submitBtn.disabled = false;
+        }
+    },
+
+    /**
+     * Empty the form for a new message: clear the draft and restart the
+     * spam checks (fill time and proof of work)
+     */
+    resetAfterSubmit() {
+        this.form.reset();
+        this.clearDraft();
+        SpamGuard.protect(this.form, { signal: this.controller.signal });
+    },
+
+    /**
+     * Deliver form data, queueing it in the Outbox when offline
+     * @param {Object} data - Form data
+     * @returns {Promise<'sent'|'queued'|'handedOff'>} Delivery status;
+     *     'handedOff' when the visitor still has to send it from their mail app
+     */
+    async deliver(data) {
+        const options = this.getSubmissionOptions();
+
+        if (navigator.onLine === false && Outbox.enqueue(data, { ...CONFIG.submission, ...options })) {
+            return 'queued';
+        }
+
+        const result = await Submission.send(data, options);
+        if (result && result.queued) return 'queued';
+        if (result && result.handedOff) return 'handedOff';
+        return 'sent';
+    },
+
+    /**
+     * Collect trimmed form values
+     * @returns {Object<string, string>} Field values keyed by name
+     */
+    getData() {
+        const data = {};
+        new FormData(this.form).forEach((value, key) => {
+            data[key] = typeof value === 'string' ? value.trim() : value;
+        });
+        return data;
+    },
+
+    /**
+     * Read per-form submission overrides from markup
+     * (`action` and `data-transport` attributes)
+     * @returns {Object} Submission options
+     */
+    getSubmissionOptions() {
+        const options = {};
+        const action = this.form.getAttribute('action');
+        const transport = this.form.dataset.transport;
+
+        if (action) options.endpoint = action;
+        if (transport) options.transport = transport;
+
+        return options;
+    },
+
+    /**
+     * Validate every field that has rules
+     * @returns {Promise<boolean>} Whether all fields are valid
+     */
+    async validateAll() {
+        const results = await Promise.all(
+            Object.entries(this.fields).map(([name, field]) => this.validateField(name, field))
+        );
+
+        return results.every(Boolean);
+    },
+
+    /**
+     * Validate single field against its schema and attribute rules
+     * @param {string} name - Field name
+     * @param {HTMLElement} field - Field element
+     * @returns {Promise<boolean>} Whether field is valid
+     */
+    async validateField(name, field) {
+        if (!field) return true;
+
+        const rules = Validator.getRules(field, VALIDATION_SCHEMA);
+        if (rules.length === 0) return true;
+
+        // Ignore results from validations superseded by a newer one
+        const run = (this.validationRuns[name] || 0) + 1;
+        this.validationRuns[name] = run;
+
+        const error = await Validator.validate(field, rules);
+        if (this.validationRuns[name] !== run) return !error;
+
+        if (error) {
+            this.showFieldError(name, error);
+            return false;
+        }
+
+        this.clearError(name);
+        return true;
+    },
+
+    /**
+     * Move focus to the first field flagged as invalid
+     */
+    focusFirstError() {
+        const invalid = this.form.querySelector('[aria-invalid="true"]');
+        if (invalid) invalid.focus();
+    },
+
+    /**
+     * Show field error message
+     * @param {string} name - Field name
+     * @param {string} message - Error message
+     */
+    showFieldError(name, message) {
+        const errorEl = this.form.querySelector(`#${name}-error`);
+        const field = this.fields[name];
+
+        Analytics.track(Analytics.events.fieldError, { form: this.form.id, field: name });
+
+        if (errorEl) {
+            errorEl.textContent = message;
+        }
+
+        if (field) {
+            field.classList.add('error');
+            field.setAttribute('aria-invalid', 'true');
+        }
+    },
+
+    /**
+     * Show server-side field errors and focus the first invalid field
+     * @param {Object<string, string>} errors - Messages keyed by field name
+     */
+    showFieldErrors(errors) {
+        const names = Object.keys(errors).filter(name => this.fields[name]);
+
+        names.forEach(name => this.showFieldError(name, errors[name]));
+
+        if (names.length > 0) {
+            this.fields[names[0]].focus();
+        } else {
+            this.showError(I18n.t('contact.fieldsError'));
+        }
+    },
+
+    /**
+     * Clear field error
+     * @param {string} name - Field name
+     */
+    clearError(name) {
+        const errorEl = this.form.querySelector(`#${name}-error`);
+        const field = this.fields[name];
+
+        if (errorEl) {
+            errorEl.textContent = '';
+        }
+
+        if (field) {
+            field.classList.remove('error');
+            field.removeAttribute('aria-invalid');
+        }
+    },
+
+    /**
+     * Show success message
+     * @param {'sent'|'queued'|'handedOff'} [status='sent'] - Delivery status
+     */
+    showSuccess(status = 'sent') {
+        if (!this.successMessage) return;
+
+        const title = Utils.getElement(SELECTORS.formSuccessTitle, this.successMessage);
+        const text = Utils.getElement(SELECTORS.formSuccessText, this.successMessage);
+        if (title) title.textContent = I18n.t(`contact.${status}.title`);
+        if (text) text.textContent = I18n.t(`contact.${status}.text`);
+
+        this.successMessage.dataset.status = status;
+        this.successMessage.classList.toggle('contact-form__success--queued', status === 'queued');
+        this.successMessage.classList.toggle('contact-form__success--handed-off', status === 'handedOff');
+        this.form.hidden = true;
+        this.successMessage.hidden = false;
+    },
+
+    /**
+     * Update a "queued" success panel once the Outbox delivers
+     * @param {number} count - Number of submissions delivered
+     */
+    handleOutboxSent(count) {
+        if (count > 0 && this.successMessage && this.successMessage.dataset.status === 'queued') {
+            this.showSuccess('sent');
+        }
+    },
+
+    /**
+     * Show general error message
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        Notifications.error(message);
+    }
+};
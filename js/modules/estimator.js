@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Estimator: treatment cost quotes, packages & installments
+ * @module modules/estimator
+ */
+
+import { CONFIG, SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { Events } from '../core/events.js';
+import { calculateQuote } from '../lib/pricing.js';
+import { Analytics } from './analytics.js';
+import { ContactForm } from './contact-form.js';
+import { I18n } from './i18n.js';
+import { Notifications } from './notifications.js';
+import { Router } from './router.js';
+import { Services } from './services.js';
+
+// ============================================================================
+// ESTIMATOR MODULE
+// ============================================================================
+
+/**
+ * Cost estimator in the services section. Visitors pick treatments,
+ * body areas and sessions; prices come from the services catalog and
+ * discounts and installments from CONFIG.estimator. The quote can be
+ * attached to the contact form message.
+ * @namespace Estimator
+ */
+export const Estimator = {
+    /** @type {HTMLElement|Document} */
+    root: document,
+    /** @type {HTMLElement} */
+    container: null,
+    /** @type {HTMLFormElement} */
+    form: null,
+    /** @type {HTMLElement} */
+    list: null,
+    /** @type {HTMLButtonElement} */
+    attachButton: null,
+    /** @type {Object|null} Quote for the current selection */
+    quote: null,
+    /** @type {string} Text last attached to the message, replaced on the next attach */
+    attached: '',
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize estimator module
+     * @param {HTMLElement|Document} [root=document] - Subtree holding the estimator
+     */
+    init(root = document) {
+        this.root = root;
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        this.container = Utils.getElement(SELECTORS.estimator, root);
+        if (!this.container) return;
+
+        this.form = this.container.querySelector('form');
+        this.list = Utils.getElement(SELECTORS.estimatorServices, this.container);
+        this.attachButton = Utils.getElement(SELECTORS.estimatorAttach, this.container);
+
+        this.form.addEventListener('submit', (e) => e.preventDefault(), { signal });
+        this.form.addEventListener('input', () => this.update(), { signal });
+        this.form.addEventListener('change', (e) => {
+            // Write back the clamped session count once editing ends
+            if (e.target.matches('[data-sessions]')) {
+                e.target.value = this.readSessions(e.target);
+            }
+        }, { signal });
+        this.attachButton.addEventListener('click', () => this.attach(), { signal });
+
+        Services.ready.then(catalog => {
+            if (signal.aborted) return;
+
+            this.container.hidden = catalog.length === 0;
+            this.render();
+            I18n.onChange(() => this.render(), { signal });
+        });
+    },
+
+    /**
+     * Remove listeners and forget the current and attached quotes. The
+     * selection stays in the markup.
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+        this.quote = null;
+        this.attached = '';
+    },
+
+    /**
+     * Render one fieldset per catalog treatment, keeping the current
+     * selection
+     */
+    render() {
+        const template = Utils.getElement(SELECTORS.estimatorTemplate, this.root);
+        if (!this.list || !template) return;
+
+        const selection = this.getSelection();
+        const fieldsets = Services.catalog.map(service => {
+            return this.createFieldset(Services.localize(service), template, selection[service.id]);
+        });
+
+        this.list.textContent = '';
+        this.list.append(...fieldsets);
+        this.update();
+    },
+
+    /**
+     * Build the fieldset of a treatment
+     * @param {Object} service - Localized catalog entry
+     * @param {HTMLTemplateElement} template - Fieldset template
+     * @param {Object} [selected] - Previous selection: { areas, sessions }
+     * @returns {HTMLElement} Fieldset element
+     */
+    createFieldset(service, template, selected = { areas: [], sessions: 1 }) {
+        const fieldset = template.content.firstElementChild.cloneNode(true);
+        const sessions = fieldset.querySelector('[data-sessions]');
+        const hint = fieldset.querySelector('.estimator__package');
+        const tiers = CONFIG.estimator.packages[service.id] || [];
+
+        fieldset.dataset.service = service.id;
+        fieldset.querySelector('.estimator__service-name').textContent = service.name;
+        fieldset.querySelector('.estimator__sessions-label').textContent = I18n.t('estimator.sessions');
+
+        const areas = fieldset.querySelector('.estimator__areas');
+        (service.prices || []).forEach((item, index) => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            label.className = 'estimator__area';
+            checkbox.type = 'checkbox';
+            checkbox.dataset.area = index;
+            checkbox.checked = selected.areas.includes(index);
+            label.append(checkbox, ` ${Services.formatPrice(item)}`);
+            areas.appendChild(label);
+        });
+
+        sessions.max = CONFIG.estimator.maxSessions;
+        sessions.value = selected.sessions;
+        sessions.setAttribute('aria-label', `${I18n.t('estimator.sessions')}: ${service.name}`);
+
+        hint.textContent = tiers.map(tier => I18n.t('estimator.package', {
+            sessions: tier.sessions,
+            discount: I18n.formatNumber(tier.discount, { style: 'percent' })
+        })).join(' · ');
+        hint.hidden = tiers.length === 0;
+
+        return fieldset;
+    },
+
+    /**
+     * Read the checked areas and sessions of every treatment
+     * @returns {Object<string, {areas: number[], sessions: number}>} Selection by service id
+     */
+    getSelection() {
+        const selection = {};
+        if (!this.list) return selection;
+
+        Utils.getElements('[data-service]', this.list).forEach(fieldset => {
+            selection[fieldset.dataset.service] = {
+                areas: Utils.getElements('[data-area]:checked', fieldset).map(box => Number(box.dataset.area)),
+                sessions: this.readSessions(fieldset.querySelector('[data-sessions]'))
+            };
+        });
+
+        return selection;
+    },
+
+    /**
+     * Session count of a treatment, clamped to 1..CONFIG.estimator.maxSessions
+     * @param {HTMLInputElement} input - Sessions input
+     * @returns {number}
+     */
+    readSessions(input) {
+        const value = Math.round(Number(input.value)) || 1;
+        return Math.min(Math.max(value, 1), CONFIG.estimator.maxSessions);
+    },
+
+    /**
+     * Selected treatments as quote items, with localized names
+     * @returns {Object[]} { id, name, areas: [{ name, price }], sessions }
+     */
+    getItems() {
+        return Object.entries(this.getSelection()).map(([id, { areas, sessions }]) => {
+            const service = Services.localize(Services.get(id));
+            return {
+                id,
+                name: service.name,
+                areas: areas.map(index => service.prices[index]).filter(Boolean),
+                sessions
+            };
+        });
+    },
+
+    /**
+     * Recalculate the quote and refresh the summary
+     */
+    update() {
+        this.quote = calculateQuote(this.getItems(), CONFIG.estimator);
+        this.renderSummary(this.quote);
+    },
+
+    /**
+     * Format an amount in the catalog currency
+     * @param {number} value - Amount
+     * @returns {string}
+     */
+    format(value) {
+        return I18n.formatCurrency(value, Services.currency);
+    },
+
+    /**
+     * Fill the quote lines, totals and installment plans
+     * @param {Object} quote - Result of calculateQuote()
+     */
+    renderSummary(quote) {
+        const empty = quote.lines.length === 0;
+        const lines = Utils.getElement(SELECTORS.estimatorLines, this.container);
+        const installments = Utils.getElement(SELECTORS.estimatorInstallments, this.container);
+
+        lines.textContent = '';
+        quote.lines.forEach(line => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            const total = document.createElement('strong');
+            item.className = 'estimator__line';
+            label.textContent = I18n.t('estimator.line', {
+                name: line.name,
+                areas: line.areas.map(area => area.name).join(', '),
+                sessions: I18n.plural('estimator.sessionCount', line.sessions)
+            });
+            total.textContent = this.format(line.total);
+            item.append(label, total);
+            lines.appendChild(item);
+        });
+
+        Utils.getElement(SELECTORS.estimatorSubtotal, this.container).textContent = this.format(quote.subtotal);
+        Utils.getElement(SELECTORS.estimatorDiscount, this.container).textContent = `-${this.format(quote.discount)}`;
+        Utils.getElement(SELECTORS.estimatorTotal, this.container).textContent = this.format(quote.total);
+        Utils.getElement(SELECTORS.estimatorDiscount, this.container).parentElement.hidden = quote.discount === 0;
+
+        installments.textContent = '';
+        quote.installments.forEach(plan => {
+            const item = document.createElement('li');
+            item.textContent = this.formatInstallment(plan);
+            installments.appendChild(item);
+        });
+        installments.hidden = quote.installments.length === 0;
+
+        Utils.getElement(SELECTORS.estimatorEmpty, this.container).hidden = !empty;
+        Utils.getElement(SELECTORS.estimatorTotals, this.container).hidden = empty;
+        this.attachButton.disabled = empty;
+    },
+
+    /**
+     * Describe an installment plan, naming the last payment when it
+     * carries the remainder
+     * @param {Object} plan - { months, rate, total, monthly, last }
+     * @returns {string} e.g. "6 meses sin intereses de $1,640"
+     */
+    formatInstallment(plan) {
+        const key = plan.rate ? 'estimator.installment.interest' : 'estimator.installment.free';
+        return I18n.t(plan.last === plan.monthly ? key : `${key}Uneven`, {
+            months: plan.months,
+            first: plan.months - 1,
+            monthly: this.format(plan.monthly),
+            last: this.format(plan.last),
+            total: this.format(plan.total)
+        });
+    },
+
+    /**
+     * Plain-text quote for the contact form message
+     * @param {Object} quote - Result of calculateQuote()
+     * @returns {string}
+     */
+    formatQuote(quote) {
+        const text = [I18n.t('estimator.quote.title')];
+
+        quote.lines.forEach(line => {
+            text.push(I18n.t('estimator.quote.line', {
+                name: line.name,
+                areas: line.areas.map(area => area.name).join(', '),
+                sessions: I18n.plural('estimator.sessionCount', line.sessions),
+                total: this.format(line.total)
+            }));
+            if (line.discount) {
+                text.push(I18n.t('estimator.quote.package', { discount: this.format(line.discount) }));
+            }
+        });
+
+        text.push(I18n.t('estimator.quote.total', { total: this.format(quote.total) }));
+        if (quote.installments.length) {
+            text.push(I18n.t('estimator.quote.installments', {
+                plans: quote.installments.map(plan => this.formatInstallment(plan)).join('; ')
+            }));
+        }
+
+        return text.join('\n');
+    },
+
+    /**
+     * Add the quote to the contact form message, replacing the one
+     * attached before if the visitor left it untouched, and take them
+     * to the form
+     */
+    attach() {
+        const message = ContactForm.fields.message;
+        if (!this.quote || this.quote.lines.length === 0 || !message) return;
+
+        const text = this.formatQuote(this.quote);
+        const current = message.value.trimEnd();
+
+        if (this.attached && current.includes(this.attached)) {
+            message.value = current.replace(this.attached, text);
+        } else {
+            message.value = current ? `${current}\n\n${text}` : text;
+        }
+        this.attached = text;
+
+        // Let validation and draft autosave see the new value
+        message.dispatchEvent(new Event('input', { bubbles: true }));
+
+        if (this.quote.lines.length === 1) {
+            ContactForm.selectService(this.quote.lines[0].id);
+        }
+
+        const detail = {
+            services: this.quote.lines.map(line => line.id),
+            total: this.quote.total
+        };
+        Analytics.track(Analytics.events.quoteAttached, detail);
+        Events.emit('quote:attached', { ...detail, quote: this.quote, text });
+
+        Router.navigate('#contacto');
+        message.focus({ preventScroll: true });
+        Notifications.info(I18n.t('estimator.attached'));
+    }
+};
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Header: scroll effects
+ * @module modules/header
+ */
+
+import { SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { ScrollSpy } from './scroll-spy.js';
+
+// ============================================================================
+// HEADER MODULE
+// ============================================================================
+
+/**
+ * Header functionality module
+ * @namespace Header
+ */
+export const Header = {
+    /** @type {HTMLElement} */
+    element: null,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize header module
+     * @param {HTMLElement|Document} [root=document] - Subtree to manage
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+        this.element = Utils.getElement(SELECTORS.header, root);
+        if (!this.element) return;
+
+        ScrollSpy.onScrolledChange(scrolled => this.element.classList.toggle('scrolled', scrolled), {
+            signal: this.controller.signal
+        });
+    },
+
+    /**
+     * Stop following the scroll state
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+
+        if (this.element) this.element.classList.remove('scrolled');
+        this.element = null;
+    }
+};
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview I18n: translations, language switcher & formatting
+ * @module modules/i18n
+ */
+
+import { CONFIG, SELECTORS } from '../config.js';
+import { MESSAGES } from '../messages.js';
+import { Utils } from '../core/utils.js';
+import { Events } from '../core/events.js';
+
+// ============================================================================
+// I18N MODULE
+// ============================================================================
+
+/**
+ * Internationalization: message lookup, DOM translation, language
+ * switcher and locale-aware formatting.
+ *
+ * Markup hooks:
+ * - `data-i18n="key"` replaces the text content
+ * - `data-i18n-html="key"` replaces the inner HTML (trusted catalog only)
+ * - `data-i18n-attr="placeholder:key;aria-label:key"` replaces attributes
+ * @namespace I18n
+ */
+export const I18n = {
+    /** @type {string} */
+    locale: CONFIG.i18n.defaultLocale,
+    /** @type {Map<HTMLElement, Object>} Original (source) values per element */
+    originals: new Map(),
+    /** @type {Function[]} */
+    listeners: [],
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize i18n module
+     * @param {HTMLElement|Document} [root=document] - Subtree to manage
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+        this.captureOriginals(root);
+        this.bindSwitcher(root);
+        this.setLocale(this.detect(), { persist: false });
+    },
+
+    /**
+     * Remove the switcher listeners and forget detached elements. Source
+     * texts of elements still in the page are kept, so a later `init()`
+     * does not mistake a translation for the original.
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+
+        this.originals.forEach((original, el) => {
+            if (!el.isConnected) this.originals.delete(el);
+        });
+    },
+
+    /**
+     * Resolve the initial locale: stored choice, then browser languages
+     * @returns {string} Supported locale
+     */
+    detect() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(CONFIG.i18n.storageKey);
+        } catch (error) {
+            // Storage unavailable
+        }
+
+        return this.match(stored) || this.match(...(navigator.languages || [navigator.language])) ||
+            CONFIG.i18n.defaultLocale;
+    },
+
+    /**
+     * Match language tags against the supported locales, by exact tag first
+     * and then by language (e.g. 'en-GB' -> 'en-US')
+     * @param {...string} tags - Language tags
+     * @returns {string|null} Supported locale
+     */
+    match(...tags) {
+        const { supported } = CONFIG.i18n;
+
+        for (const tag of tags.filter(Boolean)) {
+            const exact = supported.find(locale => locale.toLowerCase() === tag.toLowerCase());
+            if (exact) return exact;
+
+            const language = tag.split('-')[0].toLowerCase();
+            const partial = supported.find(locale => locale.split('-')[0] === language);
+            if (partial) return partial;
+        }
+
+        return null;
+    },
+
+    /**
+     * Translate a key, falling back to the default locale and then to
+     * the key itself (so literal strings pass through unchanged)
+     * @param {string} key - Message key
+     * @param {Object} [params={}] - Values for `{name}` placeholders
+     * @returns {string} Translated message
+     */
+    t(key, params = {}) {
+        const catalog = MESSAGES[this.locale] || {};
+        const fallback = MESSAGES[CONFIG.i18n.defaultLocale];
+        const message = key in catalog ? catalog[key] : (key in fallback ? fallback[key] : key);
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    /**
+     * Whether the active (or default) catalog has a key
+     * @param {string} key - Message key
+     * @returns {boolean}
+     */
+    has(key) {
+        return key in (MESSAGES[this.locale] || {}) || key in MESSAGES[CONFIG.i18n.defaultLocale];
+    },
+
+    /**
+     * Translate a count-dependent message from its plural variants
+     * (`key.one`, `key.other`, ...) using the locale's plural rules
+     * @param {string} key - Message key prefix
+     * @param {number} count - Quantity selecting the variant
+     * @param {Object} [params] - Extra interpolation values
+     * @returns {string} Translated message ({count} is locale-formatted)
+     */
+    plural(key, count, params = {}) {
+        const category = new Intl.PluralRules(this.locale).select(count);
+        const variant = this.has(`${key}.${category}`) ? category : 'other';
+        return this.t(`${key}.${variant}`, { count: this.formatNumber(count), ...params });
+    },
+
+    /**
+     * Switch the active locale and re-translate the page
+     * @param {string} locale - Locale to activate
+     * @param {Object} [options]
+     * @param {boolean} [options.persist=true] - Remember the choice
+     */
+    setLocale(locale, { persist = true } = {}) {
+        this.locale = this.match(locale) || CONFIG.i18n.defaultLocale;
+
+        if (persist) {
+            try {
+                localStorage.setItem(CONFIG.i18n.storageKey, this.locale);
+            } catch (error) {
+                // Storage unavailable: choice lasts for this visit only
+            }
+        }
+
+        document.documentElement.lang = this.locale.split('-')[0];
+        this.translate();
+        this.updateSwitcher();
+        this.listeners.forEach(listener => listener(this.locale));
+        Events.emit('locale:changed', { locale: this.locale });
+    },
+
+    /**
+     * Subscribe to locale changes
+     * @param {Function} listener - Called with the new locale
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Unsubscribes on abort
+     */
+    onChange(listener, { signal } = {}) {
+        Utils.subscribe(this.listeners, listener, signal);
+    },
+
+    /**
+     * Remember the source text of every annotated element
+     * @param {HTMLElement|Document} [root=document] - Subtree to scan
+     */
+    captureOriginals(root = document) {
+        Utils.getElements('[data-i18n], [data-i18n-html], [data-i18n-attr]', root).forEach(el => {
+            if (this.originals.has(el)) return;
+
+            const attrs = {};
+            this.parseAttrKeys(el).forEach(([attr]) => {
+                attrs[attr] = el.getAttribute(attr);
+            });
+
+            this.originals.set(el, {
+                text: el.dataset.i18n ? el.textContent : null,
+                html: el.dataset.i18nHtml ? el.innerHTML : null,
+                attrs
+            });
+        });
+    },
+
+    /**
+     * Parse `data-i18n-attr` into [attribute, key] pairs
+     * @param {HTMLElement} el - Annotated element
+     * @returns {string[][]} Pairs
+     */
+    parseAttrKeys(el) {
+        return (el.dataset.i18nAttr || '')
+            .split(';')
+            .map(pair => pair.split(':').map(part => part.trim()))
+            .filter(([attr, key]) => attr && key);
+    },
+
+    /**
+     * Apply the active catalog to annotated elements. Keys missing from
+     * the catalog restore the source text.
+     * @param {HTMLElement|Document} [root=document] - Subtree to translate
+     */
+    translate(root = document) {
+        this.captureOriginals(root);
+
+        Utils.getElements('[data-i18n], [data-i18n-html], [data-i18n-attr]', root).forEach(el => {
+            const original = this.originals.get(el);
+            const lookup = (key, source) => (this.has(key) ? this.t(key) : source);
+
+            if (el.dataset.i18n) {
+                el.textContent = lookup(el.dataset.i18n, original.text);
+            }
+
+            if (el.dataset.i18nHtml) {
+                el.innerHTML = lookup(el.dataset.i18nHtml, original.html);
+            }
+
+            this.parseAttrKeys(el).forEach(([attr, key]) => {
+                el.setAttribute(attr, lookup(key, original.attrs[attr]));
+            });
+        });
+    },
+
+    /**
+     * Bind header language switcher buttons
+     * @param {HTMLElement|Document} [root=document] - Subtree to scan
+     */
+    bindSwitcher(root = document) {
+        const { signal } = this.controller;
+
+        Utils.getElements(SELECTORS.localeButtons, root).forEach(button => {
+            button.addEventListener('click', () => this.setLocale(button.dataset.locale), { signal });
+        });
+    },
+
+    /**
+     * Reflect the active locale on the switcher buttons
+     */
+    updateSwitcher() {
+        Utils.getElements(SELECTORS.localeButtons).forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.locale === this.locale));
+        });
+    },
+
+    /**
+     * Format a number for the active locale
+     * @param {number} value - Number
+     * @param {Intl.NumberFormatOptions} [options] - Format options
+     * @returns {string}
+     */
+    formatNumber(value, options) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    },
+
+    /**
+     * Format an amount as currency for the active locale
+     * @param {number} value - Amount
+     * @param {string} [currency='MXN'] - ISO currency code
+     * @returns {string}
+     */
+    formatCurrency(value, currency = 'MXN') {
+        return this.formatNumber(value, {
+            style: 'currency',
+            currency,
+            maximumFractionDigits: 0
+        });
+    },
+
+    /**
+     * Format a date for the active locale
+     * @param {Date|string} date - Date, or ISO calendar date (YYYY-MM-DD)
+     * @param {Intl.DateTimeFormatOptions} [options] - Format options
+     * @returns {string}
+     */
+    formatDate(date, options = { dateStyle: 'long' }) {
+        // Calendar dates carry no timezone: format them as UTC midnight
+        const value = typeof date === 'string' ? new Date(`${date}T00:00:00Z`) : date;
+        const zone = typeof date === 'string' ? { timeZone: 'UTC' } : {};
+
+        return new Intl.DateTimeFormat(this.locale, { ...zone, ...options }).format(value);
+    }
+};
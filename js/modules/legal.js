@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Legal: privacy, terms & cookie documents by hash route
+ * @module modules/legal
+ */
+
+import { CONFIG, SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { I18n } from './i18n.js';
+import { Modal } from './modal.js';
+import { Router } from './router.js';
+
+// ============================================================================
+// LEGAL MODULE
+// ============================================================================
+
+/**
+ * Legal documents (privacy notice, terms, cookie policy) shown in a
+ * modal dialog. Each document has a hash route (`#privacidad`) so it can
+ * be linked directly; content is loaded on demand from the HTML or
+ * Markdown file configured in CONFIG.legal.documents.
+ * @namespace Legal
+ */
+export const Legal = {
+    /** @type {HTMLElement} */
+    dialog: null,
+    /** @type {HTMLElement} */
+    panel: null,
+    /** @type {HTMLElement} */
+    title: null,
+    /** @type {HTMLElement} */
+    content: null,
+    /** @type {string|null} Route of the open document */
+    current: null,
+    /** @type {Map<string, Promise<string>>} Rendered HTML by route */
+    cache: new Map(),
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize legal module
+     * @param {HTMLElement|Document} [root=document] - Subtree holding the dialog
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        this.dialog = Utils.getElement(SELECTORS.legalDialog, root);
+        if (!this.dialog) return;
+
+        this.panel = Utils.getElement('[role="dialog"]', this.dialog);
+        this.title = Utils.getElement(SELECTORS.legalTitle, this.dialog);
+        this.content = Utils.getElement(SELECTORS.legalContent, this.dialog);
+
+        // One handler for every document, so links between them keep the dialog open
+        const handler = {
+            enter: (params, { route }) => this.open(route),
+            leave: () => {
+                if (this.current) Modal.close();
+            }
+        };
+        Object.keys(CONFIG.legal.documents).forEach(route => Router.register(route, handler, { signal }));
+
+        I18n.onChange(() => {
+            if (this.current) this.title.textContent = I18n.t(CONFIG.legal.documents[this.current].title);
+        }, { signal });
+    },
+
+    /**
+     * Unregister the document routes. Loaded documents stay cached.
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+        this.current = null;
+    },
+
+    /**
+     * Show a document in the dialog
+     * @param {string} route - Key of CONFIG.legal.documents
+     */
+    async open(route) {
+        if (this.current === route) return;
+
+        const documentConfig = CONFIG.legal.documents[route];
+        const isOpen = Modal.active && Modal.active.dialog === this.dialog;
+
+        this.current = route;
+        this.title.textContent = I18n.t(documentConfig.title);
+        this.content.textContent = I18n.t('legal.loading');
+        this.content.setAttribute('aria-busy', 'true');
+        this.content.scrollTop = 0;
+
+        if (isOpen) {
+            // Links between documents replace the content under focus
+            this.panel.focus();
+        } else {
+            Modal.open(this.dialog, { onClose: () => this.handleClose() });
+        }
+
+        try {
+            const html = await this.load(route);
+            if (this.current !== route) return;
+            this.content.innerHTML = html;
+        } catch (error) {
+            if (this.current !== route) return;
+            console.error('Legal document error:', error);
+            this.cache.delete(route);
+            this.content.textContent = I18n.t('legal.error');
+        } finally {
+            if (this.current === route) this.content.removeAttribute('aria-busy');
+        }
+    },
+
+    /**
+     * Fetch a document as HTML (Markdown files are converted)
+     * @param {string} route - Key of CONFIG.legal.documents
+     * @returns {Promise<string>} Trusted HTML from our own files
+     */
+    load(route) {
+        if (!this.cache.has(route)) {
+            const { url } = CONFIG.legal.documents[route];
+            const request = fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.text();
+                })
+                .then(text => (url.endsWith('.md') ? this.renderMarkdown(text) : text));
+
+            this.cache.set(route, request);
+        }
+
+        return this.cache.get(route);
+    },
+
+    /**
+     * Drop the route from the URL once the dialog closes
+     */
+    handleClose() {
+        const route = this.current;
+        this.current = null;
+
+        if (Router.current === `#${route}`) {
+            Router.replace('');
+        }
+    },
+
+    /**
+     * Convert the Markdown subset used by the legal files: `##`/`###`
+     * headings, paragraphs, `-` lists, **bold**, _emphasis_, `code`
+     * and [links](#route)
+     * @param {string} source - Markdown text
+     * @returns {string} HTML
+     */
+    renderMarkdown(source) {
+        const escape = text => text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const inline = text => escape(text)
+            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|\W)_(.+?)_(?=\W|$)/g, '$1<em>$2</em>')
+            .replace(/`(.+?)`/g, '<code>$1</code>')
+            .replace(/\[(.+?)\]\((.+?)\)/g, '<a href="$2">$1</a>');
+
+        return source.trim().split(/\n\s*\n/).map(block => {
+            const heading = block.match(/^(#{1,3})\s+(.*)$/);
+            if (heading) {
+                // The dialog title is the h2
+                const level = Math.min(heading[1].length + 1, 4);
+                return `<h${level}>${inline(heading[2])}</h${level}>`;
+            }
+
+            const lines = block.split('\n');
+            if (lines.every(line => /^\s*-\s+/.test(line))) {
+                const items = lines.map(line => `<li>${inline(line.replace(/^\s*-\s+/, ''))}</li>`);
+                return `<ul>${items.join('')}</ul>`;
+            }
+
+            return `<p>${inline(lines.join(' '))}</p>`;
+        }).join('\n');
+    }
+};
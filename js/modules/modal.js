@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Modal: accessible dialogs
+ * @module modules/modal
+ */
+
+import { Utils } from '../core/utils.js';
+import { ScrollLock } from '../core/scroll-lock.js';
+import { Events } from '../core/events.js';
+import { Navigation } from './navigation.js';
+
+// ============================================================================
+// MODAL MODULE
+// ============================================================================
+
+/**
+ * Accessible modal dialogs: focus moves into the dialog and is trapped
+ * there, Escape and `[data-modal-close]` elements close it, the page
+ * stops scrolling and focus returns to the opener on close.
+ * @namespace Modal
+ */
+export const Modal = {
+    /** @type {Object|null} Open dialog: { dialog, opener, onClose } */
+    active: null,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize modal module
+     * @param {HTMLElement|Document} [root=document] - Subtree holding the dialogs
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+
+        root.addEventListener('click', (e) => {
+            if (this.active && e.target.closest('[data-modal-close]')) this.close();
+        }, { signal });
+    },
+
+    /**
+     * Hide the open dialog without running its onClose (the route that
+     * opened it stays in the address bar) and remove listeners
+     */
+    destroy() {
+        if (this.active) {
+            this.active.dialog.hidden = true;
+            ScrollLock.unlock('modal');
+            this.active = null;
+        }
+
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+    },
+
+    /**
+     * Open a dialog, replacing any dialog already open
+     * @param {HTMLElement} dialog - Dialog container
+     * @param {Object} [options] - Dialog options
+     * @param {Function} [options.onClose] - Called after the dialog closes
+     */
+    open(dialog, { onClose } = {}) {
+        // A dialog opened from another keeps the original opener
+        const opener = this.active ? this.active.opener : document.activeElement;
+        if (this.active) this.close({ restoreFocus: false });
+
+        if (Navigation.isOpen) Navigation.closeMenu();
+
+        this.active = { dialog, opener, onClose };
+        dialog.hidden = false;
+        ScrollLock.lock('modal');
+
+        const target = dialog.querySelector('[autofocus]') || dialog.querySelector('[role="dialog"]') || dialog;
+        target.focus();
+
+        Events.emit('dialog:opened', { id: dialog.id });
+    },
+
+    /**
+     * Close the open dialog
+     * @param {Object} [options] - Close options
+     * @param {boolean} [options.restoreFocus=true] - Return focus to the opener
+     */
+    close({ restoreFocus = true } = {}) {
+        if (!this.active) return;
+
+        const { dialog, opener, onClose } = this.active;
+        this.active = null;
+
+        dialog.hidden = true;
+        ScrollLock.unlock('modal');
+
+        if (restoreFocus && opener && opener !== document.body && document.contains(opener)) {
+            opener.focus();
+        }
+
+        if (onClose) onClose();
+        Events.emit('dialog:closed', { id: dialog.id });
+    },
+
+    /**
+     * Escape closes; Tab and Shift+Tab cycle within the dialog
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        if (!this.active) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const focusable = this.getFocusable(this.active.dialog);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const inside = this.active.dialog.contains(document.activeElement);
+
+        if (e.shiftKey && (document.activeElement === first || !inside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    },
+
+    /**
+     * Keyboard-focusable elements inside a dialog
+     * @param {HTMLElement} dialog - Dialog container
+     * @returns {HTMLElement[]}
+     */
+    getFocusable(dialog) {
+        const selector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+            'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+        return Utils.getElements(selector, dialog).filter(el => !el.closest('[hidden]'));
+    }
+};
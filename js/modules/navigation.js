@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Navigation: mobile menu, smooth scroll & active states
+ * @module modules/navigation
+ */
+
+import { SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { ScrollLock } from '../core/scroll-lock.js';
+import { I18n } from './i18n.js';
+import { ScrollSpy } from './scroll-spy.js';
+
+// ============================================================================
+// NAVIGATION MODULE
+// ============================================================================
+
+/**
+ * Navigation functionality module
+ * @namespace Navigation
+ */
+export const Navigation = {
+    /** @type {HTMLElement} */
+    nav: null,
+    /** @type {HTMLElement} */
+    toggle: null,
+    /** @type {HTMLElement[]} */
+    links: [],
+    /** @type {boolean} */
+    isOpen: false,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize navigation module
+     * @param {HTMLElement|Document} [root=document] - Subtree to manage
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+        this.nav = Utils.getElement(SELECTORS.nav, root);
+        this.toggle = Utils.getElement(SELECTORS.navToggle, root);
+        this.links = Utils.getElements(SELECTORS.navLinks, root);
+
+        if (!this.nav || !this.toggle) return;
+
+        this.bindEvents();
+    },
+
+    /**
+     * Close the menu (releasing its scroll lock) and remove listeners
+     */
+    destroy() {
+        if (this.isOpen) this.closeMenu();
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+    },
+
+    /**
+     * Bind navigation events
+     */
+    bindEvents() {
+        const { signal } = this.controller;
+
+        // Mobile toggle
+        this.toggle.addEventListener('click', () => this.toggleMenu(), { signal });
+
+        // Nav links close the mobile menu
+        this.links.forEach(link => {
+            link.addEventListener('click', () => this.handleLinkClick(), { signal });
+        });
+
+        // Keep the toggle label in the active language
+        I18n.onChange(() => {
+            this.toggle.setAttribute('aria-label', I18n.t(this.isOpen ? 'nav.close' : 'nav.open'));
+        }, { signal });
+
+        // Close menu on escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.closeMenu();
+            }
+        }, { signal });
+
+        // Highlight the link of the section in view
+        ScrollSpy.onSectionChange(id => this.setActiveLink(id), { signal });
+    },
+
+    /**
+     * Toggle mobile menu open/closed
+     */
+    toggleMenu() {
+        this.isOpen = !this.isOpen;
+        this.nav.classList.toggle('open', this.isOpen);
+        this.toggle.setAttribute('aria-expanded', this.isOpen.toString());
+        this.toggle.setAttribute('aria-label', I18n.t(this.isOpen ? 'nav.close' : 'nav.open'));
+
+        // Prevent body scroll when menu is open
+        if (this.isOpen) {
+            ScrollLock.lock('navigation');
+        } else {
+            ScrollLock.unlock('navigation');
+        }
+    },
+
+    /**
+     * Close mobile menu
+     */
+    closeMenu() {
+        this.isOpen = false;
+        this.nav.classList.remove('open');
+        this.toggle.setAttribute('aria-expanded', 'false');
+        this.toggle.setAttribute('aria-label', I18n.t('nav.open'));
+        ScrollLock.unlock('navigation');
+    },
+
+    /**
+     * Close the mobile menu on navigation; Router does the scrolling
+     */
+    handleLinkClick() {
+        if (this.isOpen) {
+            this.closeMenu();
+        }
+    },
+
+    /**
+     * Mark the link of the current section. Sections without a link
+     * (e.g. #reservar) leave the previous one marked.
+     * @param {string} id - Section id
+     */
+    setActiveLink(id) {
+        const active = this.links.find(link => link.getAttribute('href') === `#${id}`);
+        if (!active) return;
+
+        this.links.forEach(link => {
+            const isActive = link === active;
+            link.classList.toggle('active', isActive);
+            if (isActive) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+};
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Notifications: accessible toast messages
+ * @module modules/notifications
+ */
+
+import { CONFIG, SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { I18n } from './i18n.js';
+
+// ============================================================================
+// NOTIFICATIONS MODULE
+// ============================================================================
+
+/**
+ * Accessible toast notifications. Toasts are announced through an
+ * `aria-live` region (errors as alerts), stack up to
+ * CONFIG.notifications.maxVisible and auto-dismiss by severity; timers
+ * pause while a toast is hovered or focused.
+ * @namespace Notifications
+ */
+export const Notifications = {
+    /** @type {HTMLElement|null} */
+    region: null,
+    /** @type {Map<HTMLElement, Object>} Timer state per toast */
+    toasts: new Map(),
+    /** @type {MediaQueryList|null} */
+    reducedMotion: null,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize notifications module
+     * @param {HTMLElement|Document} [root=document] - Subtree to manage
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+        this.region = Utils.getElement(SELECTORS.notifications, root);
+
+        if (!this.region) {
+            this.region = document.createElement('div');
+            this.region.id = SELECTORS.notifications.slice(1);
+            this.region.className = 'toasts';
+            this.region.setAttribute('aria-live', 'polite');
+            document.body.appendChild(this.region);
+        }
+
+        this.reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+        I18n.onChange(() => {
+            this.toasts.forEach((state, toast) => {
+                const close = Utils.getElement('.toast__close', toast);
+                if (close) close.setAttribute('aria-label', I18n.t('notifications.dismiss'));
+            });
+        }, { signal: this.controller.signal });
+    },
+
+    /**
+     * Remove every toast at once (no exit animation) and stop their timers
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+
+        this.toasts.forEach((state, toast) => {
+            clearTimeout(state.timer);
+            toast.remove();
+        });
+        this.toasts.clear();
+        this.region = null;
+    },
+
+    /**
+     * Show a toast. Does nothing while the module is not initialized
+     * (before `init()` or after `destroy()`).
+     * @param {string} message - Message text
+     * @param {Object} [options]
+     * @param {'info'|'success'|'warning'|'error'} [options.type='info'] - Severity
+     * @param {string} [options.title] - Optional heading
+     * @param {number} [options.duration] - Auto-dismiss delay in ms, 0 to persist
+     * @returns {{ element: HTMLElement|null, dismiss: Function }} Toast handle
+     */
+    show(message, { type = 'info', title, duration } = {}) {
+        if (!this.region) return { element: null, dismiss: () => {} };
+
+        const delay = duration !== undefined ? duration : CONFIG.notifications.duration[type];
+        const toast = document.createElement('div');
+        toast.className = `toast toast--${type}`;
+        // Errors interrupt; everything else waits for the polite region
+        toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+        const body = document.createElement('div');
+        body.className = 'toast__body';
+
+        if (title) {
+            const heading = document.createElement('strong');
+            heading.className = 'toast__title';
+            heading.textContent = title;
+            body.appendChild(heading);
+        }
+
+        const text = document.createElement('p');
+        text.className = 'toast__message';
+        text.textContent = message;
+        body.appendChild(text);
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'toast__close';
+        close.setAttribute('aria-label', I18n.t('notifications.dismiss'));
+        close.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><path d="M18 6L6 18M6 6l12 12"/></svg>';
+        close.addEventListener('click', () => this.dismiss(toast));
+
+        toast.append(body, close);
+        this.track(toast, delay);
+        this.region.appendChild(toast);
+
+        // Drop the oldest toasts beyond the stack limit
+        const visible = [...this.toasts.keys()];
+        visible.slice(0, Math.max(0, visible.length - CONFIG.notifications.maxVisible))
+            .forEach(oldest => this.dismiss(oldest));
+
+        return { element: toast, dismiss: () => this.dismiss(toast) };
+    },
+
+    /**
+     * Show an informational toast
+     * @param {string} message - Message text
+     * @param {Object} [options] - See show()
+     * @returns {Object} Toast handle
+     */
+    info(message, options) {
+        return this.show(message, { ...options, type: 'info' });
+    },
+
+    /**
+     * Show a success toast
+     * @param {string} message - Message text
+     * @param {Object} [options] - See show()
+     * @returns {Object} Toast handle
+     */
+    success(message, options) {
+        return this.show(message, { ...options, type: 'success' });
+    },
+
+    /**
+     * Show a warning toast
+     * @param {string} message - Message text
+     * @param {Object} [options] - See show()
+     * @returns {Object} Toast handle
+     */
+    warning(message, options) {
+        return this.show(message, { ...options, type: 'warning' });
+    },
+
+    /**
+     * Show an error toast (persistent by default)
+     * @param {string} message - Message text
+     * @param {Object} [options] - See show()
+     * @returns {Object} Toast handle
+     */
+    error(message, options) {
+        return this.show(message, { ...options, type: 'error' });
+    },
+
+    /**
+     * Start the auto-dismiss timer and pause it on hover or focus
+     * @param {HTMLElement} toast - Toast element
+     * @param {number} delay - Auto-dismiss delay in ms (0 to persist)
+     */
+    track(toast, delay) {
+        const state = { timer: null, remaining: delay, startedAt: 0, returnFocus: null };
+        this.toasts.set(toast, state);
+
+        if (!delay) return;
+
+        const start = () => {
+            if (state.timer || state.remaining <= 0) return;
+            state.startedAt = Date.now();
+            state.timer = setTimeout(() => this.dismiss(toast), state.remaining);
+        };
+        const pause = () => {
+            if (!state.timer) return;
+            clearTimeout(state.timer);
+            state.timer = null;
+            state.remaining -= Date.now() - state.startedAt;
+        };
+
+        toast.addEventListener('mouseenter', pause);
+        toast.addEventListener('mouseleave', () => {
+            if (!toast.contains(document.activeElement)) start();
+        });
+        toast.addEventListener('focusin', (e) => {
+            // Remember where focus came from so dismissing can return it
+            if (e.relatedTarget && !this.region.contains(e.relatedTarget)) {
+                state.returnFocus = e.relatedTarget;
+            }
+            pause();
+        });
+        toast.addEventListener('focusout', (e) => {
+            if (!toast.contains(e.relatedTarget)) start();
+        });
+
+        start();
+    },
+
+    /**
+     * Remove a toast without losing keyboard focus
+     * @param {HTMLElement} toast - Toast element
+     */
+    dismiss(toast) {
+        const state = this.toasts.get(toast);
+        if (!state) return;
+
+        clearTimeout(state.timer);
+        this.toasts.delete(toast);
+
+        if (toast.contains(document.activeElement)) {
+            const next = [...this.toasts.keys()].pop();
+            const target = next ? Utils.getElement('.toast__close', next) : state.returnFocus;
+
+            if (target && target.isConnected) {
+                target.focus();
+            } else {
+                document.activeElement.blur();
+            }
+        }
+
+        const remove = () => toast.remove();
+
+        if (this.reducedMotion && this.reducedMotion.matches) {
+            remove();
+            return;
+        }
+
+        toast.classList.add('toast--leaving');
+        toast.addEventListener('animationend', remove, { once: true });
+        // Fallback in case the animation never runs
+        setTimeout(remove, 400);
+    },
+
+    /**
+     * Dismiss every visible toast
+     */
+    clear() {
+        [...this.toasts.keys()].forEach(toast => this.dismiss(toast));
+    }
+};
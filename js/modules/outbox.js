@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Outbox: offline queue for form submissions
+ * @module modules/outbox
+ */
+
+import { CONFIG } from '../config.js';
+import { ContactForm } from './contact-form.js';
+import { I18n } from './i18n.js';
+import { Notifications } from './notifications.js';
+import { SpamGuard } from './spam-guard.js';
+import { SubmissionError, Submission } from './submission.js';
+
+// ============================================================================
+// OUTBOX MODULE
+// ============================================================================
+
+/**
+ * Persistent queue for submissions that could not be delivered.
+ * Stored in localStorage and resent when connectivity returns.
+ * @namespace Outbox
+ */
+export const Outbox = {
+    /** @type {number|null} */
+    retryTimer: null,
+    /** @type {boolean} */
+    isFlushing: false,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize outbox module
+     */
+    init() {
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        Submission.registerTransport('outbox', (data, options) => {
+            if (this.enqueue(data, options)) {
+                return Promise.resolve({ queued: true });
+            }
+            return Promise.reject(new SubmissionError('Outbox unavailable', { retryable: true }));
+        });
+
+        window.addEventListener('online', () => this.flush(), { signal });
+        window.addEventListener('offline', () => {
+            Notifications.warning(I18n.t('notifications.offline'));
+        }, { signal });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.flush();
+        }, { signal });
+
+        this.flush();
+    },
+
+    /**
+     * Stop retrying and listening for connectivity. Queued items stay
+     * stored and are sent after the next `init()`.
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+    },
+
+    /**
+     * Read queued items, dropping any older than CONFIG.outbox.maxAge
+     * @returns {Object[]} Queued items
+     */
+    read() {
+        try {
+            const items = JSON.parse(localStorage.getItem(CONFIG.outbox.storageKey)) || [];
+            const cutoff = Date.now() - CONFIG.outbox.maxAge;
+            return items.filter(item => item.createdAt > cutoff);
+        } catch (error) {
+            return [];
+        }
+    },
+
+    /**
+     * Persist queued items
+     * @param {Object[]} items - Items to store
+     * @returns {boolean} Whether the items were stored
+     */
+    write(items) {
+        try {
+            if (items.length > 0) {
+                localStorage.setItem(CONFIG.outbox.storageKey, JSON.stringify(items));
+            } else {
+                localStorage.removeItem(CONFIG.outbox.storageKey);
+            }
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Add a submission to the queue. The proof-of-work token is left
+     * out; each flush attaches a new one.
+     * @param {Object} data - Form data
+     * @param {Object} options - Submission options (endpoint & transport are kept)
+     * @returns {boolean} Whether the submission was queued
+     */
+    enqueue(data, options) {
+        const items = this.read();
+        items.push({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            createdAt: Date.now(),
+            data: SpamGuard.unstamp(data),
+            options: {
+                endpoint: options.endpoint,
+                transport: options.transport
+            }
+        });
+
+        const stored = this.write(items);
+        if (stored) this.scheduleRetry();
+        return stored;
+    },
+
+    /**
+     * Number of submissions waiting to be sent
+     * @returns {number}
+     */
+    size() {
+        return this.read().length;
+    },
+
+    /**
+     * Try to deliver every queued submission. Items that fail transiently
+     * stay queued; items the server rejects outright are dropped. A
+     * `destroy()` meanwhile stops it after the request in flight: the
+     * rest stay queued and no retry is scheduled.
+     * @returns {Promise<number>} Number of submissions delivered
+     */
+    async flush() {
+        if (!this.controller || this.isFlushing || navigator.onLine === false) return 0;
+
+        const items = this.read();
+        if (items.length === 0) return 0;
+
+        const { signal } = this.controller;
+        this.isFlushing = true;
+        const remaining = [];
+        let sent = 0;
+
+        for (const item of items) {
+            if (signal.aborted) {
+                remaining.push(item);
+                continue;
+            }
+
+            try {
+                const data = await SpamGuard.restamp(item.data);
+                await Submission.send(data, { ...item.options, fallback: [] });
+                sent++;
+            } catch (error) {
+                if (error instanceof SubmissionError && error.retryable) {
+                    remaining.push(item);
+                } else {
+                    console.error('Outbox item rejected:', error);
+                }
+            }
+        }
+
+        // Keep anything queued while this flush was running
+        const queuedMeanwhile = this.read().filter(item => !items.some(({ id }) => id === item.id));
+        this.write([...remaining, ...queuedMeanwhile]);
+        this.isFlushing = false;
+
+        // Torn down while sending (a re-init has its own controller)
+        if (!this.controller) return sent;
+
+        if (remaining.length > 0 || queuedMeanwhile.length > 0) {
+            this.scheduleRetry();
+        }
+
+        if (sent > 0) {
+            ContactForm.handleOutboxSent(sent);
+            Notifications.success(I18n.t('notifications.outboxSent'));
+        }
+
+        return sent;
+    },
+
+    /**
+     * Schedule a flush after CONFIG.outbox.retryInterval, unless
+     * one is pending or the module is not initialized
+     */
+    scheduleRetry() {
+        if (this.retryTimer || !this.controller) return;
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flush();
+        }, CONFIG.outbox.retryInterval);
+    }
+};
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Router: hash routes, Back/Forward & header-aware scrolling
+ * @module modules/router
+ */
+
+import { Events } from '../core/events.js';
+import { Header } from './header.js';
+import { Services } from './services.js';
+import { Testimonials } from './testimonials.js';
+
+// ============================================================================
+// ROUTER MODULE
+// ============================================================================
+
+/**
+ * Hash router. In-page links, the initial hash and browser
+ * Back/Forward all go through resolve(): the section named by the hash
+ * is scrolled into view below the fixed header and the route's handler
+ * (if any) receives the hash parameters, e.g. `#contacto?servicio=laser`.
+ * Modules register their routes with register().
+ * @namespace Router
+ */
+export const Router = {
+    /** @type {Object<string, Object>} Handlers by route: { enter(params, options), leave() } */
+    handlers: {},
+    /** @type {string} Hash currently applied */
+    current: '',
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize router module
+     * @param {HTMLElement|Document} [root=document] - Subtree whose links are routed
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        // Back/Forward scroll to the route instead of a remembered position
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+
+        root.addEventListener('click', (e) => this.handleClick(e), { signal });
+        window.addEventListener('popstate', () => this.resolve(), { signal });
+        window.addEventListener('hashchange', () => this.resolve(), { signal });
+
+        // Content above the target changes height once the feeds render;
+        // skip if the visitor already navigated meanwhile
+        Promise.all([Services.ready, Testimonials.ready])
+            .catch(() => {})
+            .then(() => {
+                if (!signal.aborted && !this.current) this.resolve({ initial: true });
+            });
+    },
+
+    /**
+     * Stop routing and hand scroll restoration back to the browser. The
+     * next `init()` applies the hash again as on page load.
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+        this.current = '';
+
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'auto';
+        }
+    },
+
+    /**
+     * Register a route handler. Routes that share a handler object move
+     * between each other without leave().
+     * @param {string} route - Hash without `#` and parameters
+     * @param {Object} handler - { enter(params, { route, initial }), leave() }
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Unregisters on abort
+     */
+    register(route, handler, { signal } = {}) {
+        if (signal && signal.aborted) return;
+
+        this.handlers[route] = handler;
+
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                if (this.handlers[route] === handler) delete this.handlers[route];
+            }, { once: true });
+        }
+    },
+
+    /**
+     * Split a hash into route and parameters. URLSearchParams decodes the
+     * query itself; a malformed escape in the route (e.g. from a mangled
+     * shared link) leaves it as typed.
+     * @param {string} hash - Location hash ('#contacto?servicio=laser')
+     * @returns {{route: string, params: URLSearchParams}}
+     */
+    parse(hash) {
+        const [path, ...query] = hash.replace(/^#/, '').split('?');
+        let route = path;
+
+        try {
+            route = decodeURIComponent(path);
+        } catch (error) {
+            // URIError: keep the raw route
+        }
+
+        return { route, params: new URLSearchParams(query.join('?')) };
+    },
+
+    /**
+     * Route in-page links through history
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest('a[href^="#"]');
+        const href = link && link.getAttribute('href');
+        if (!href || href === '#') return;
+
+        e.preventDefault();
+        this.navigate(href);
+    },
+
+    /**
+     * Go to a hash, adding a history entry
+     * @param {string} hash - Target hash
+     */
+    navigate(hash) {
+        if (hash !== window.location.hash) {
+            history.pushState(null, '', hash);
+        }
+        this.resolve({ force: true });
+    },
+
+    /**
+     * Change the hash without a history entry or routing, for state the
+     * page already shows (e.g. a dialog that was just closed)
+     * @param {string} hash - New hash ('' to clear it)
+     */
+    replace(hash) {
+        const url = hash ? hash : window.location.pathname + window.location.search;
+        history.replaceState(null, '', url);
+        this.current = hash;
+    },
+
+    /**
+     * Apply the current hash: leave the previous route, scroll to the
+     * section and hand the parameters to the route's handler
+     * @param {Object} [options] - Resolve options
+     * @param {boolean} [options.initial=false] - First resolve on page load
+     * @param {boolean} [options.force=false] - Resolve even if the hash is unchanged
+     */
+    resolve({ initial = false, force = false } = {}) {
+        const hash = window.location.hash;
+
+        // popstate and hashchange both fire for the same navigation
+        if (!initial && !force && hash === this.current) return;
+
+        const previous = this.handlers[this.parse(this.current).route];
+        const { route, params } = this.parse(hash);
+        const handler = this.handlers[route];
+        this.current = hash;
+
+        if (previous && previous !== handler && previous.leave) previous.leave();
+
+        const target = route ? document.getElementById(route) : null;
+        if (target) {
+            this.scrollTo(target, { smooth: !initial });
+        } else if (!route && !initial) {
+            window.scrollTo({ top: 0, behavior: this.getBehavior(true) });
+        }
+
+        if (handler && handler.enter) handler.enter(params, { route, initial });
+
+        Events.emit('route:changed', { route, params: Object.fromEntries(params), initial });
+    },
+
+    /**
+     * Scroll an element to just below the fixed header
+     * @param {HTMLElement} target - Element to reveal
+     * @param {Object} [options] - Scroll options
+     * @param {boolean} [options.smooth=true] - Animate the scroll
+     */
+    scrollTo(target, { smooth = true } = {}) {
+        const headerHeight = Header.element ? Header.element.offsetHeight : 0;
+
+        window.scrollTo({
+            top: target.getBoundingClientRect().top + window.scrollY - headerHeight,
+            behavior: this.getBehavior(smooth)
+        });
+    },
+
+    /**
+     * Scroll behavior honoring reduced motion
+     * @param {boolean} smooth - Whether an animated scroll is wanted
+     * @returns {string} 'smooth' or 'auto'
+     */
+    getBehavior(smooth) {
+        const reduced = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        return smooth && !reduced ? 'smooth' : 'auto';
+    }
+};
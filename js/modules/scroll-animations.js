@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Scroll Animations: variants, stagger, replay & reduced motion
+ * @module modules/scroll-animations
+ */
+
+import { CONFIG, SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+
+// ============================================================================
+// SCROLL ANIMATIONS MODULE
+// ============================================================================
+
+/**
+ * Scroll-triggered animations.
+ *
+ * Markup hooks:
+ * - `data-animate="fade-up|scale|slide-left"` variant (fade-up when empty)
+ * - `data-animate-delay="ms"` extra delay before the element appears
+ * - `data-animate-stagger="ms"` on a container: children revealed
+ *   together appear one after another
+ * - `data-animate-replay` animates again each time it re-enters the view
+ *
+ * With reduced motion everything is revealed at once.
+ * @namespace ScrollAnimations
+ */
+export const ScrollAnimations = {
+    /** @type {HTMLElement[]} */
+    elements: [],
+    /** @type {IntersectionObserver} */
+    observer: null,
+    /** @type {MediaQueryList} */
+    reducedMotion: null,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize scroll animations
+     * @param {HTMLElement|Document} [root=document] - Subtree to animate
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+        this.elements = Utils.getElements(SELECTORS.animatedElements, root);
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+        // Reveal everything if the preference turns on later
+        const onMotionChange = () => {
+            if (this.reducedMotion.matches) this.revealAll();
+        };
+        if (this.reducedMotion.addEventListener) {
+            this.reducedMotion.addEventListener('change', onMotionChange, { signal: this.controller.signal });
+        }
+
+        if (this.reducedMotion.matches || !('IntersectionObserver' in window)) {
+            this.revealAll();
+            return;
+        }
+
+        // Use Intersection Observer for performance
+        this.observer = new IntersectionObserver(
+            (entries) => this.handleIntersection(entries),
+            {
+                threshold: CONFIG.animationThreshold,
+                rootMargin: '0px 0px -50px 0px'
+            }
+        );
+
+        this.elements.forEach(el => this.observer.observe(el));
+    },
+
+    /**
+     * Stop observing. Elements keep their current state; anything
+     * passed to observe() afterwards is revealed at once.
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+
+        if (this.observer) this.observer.disconnect();
+        this.observer = null;
+        this.elements = [];
+    },
+
+    /**
+     * Animate elements added after initialization (e.g. rendered cards)
+     * @param {HTMLElement[]} elements - Elements to animate
+     * @param {Object} [options] - Applied to elements without their own markup
+     * @param {string} [options.variant] - fade-up, scale or slide-left
+     * @param {number} [options.delay] - Delay in milliseconds
+     * @param {boolean} [options.replay] - Animate on every re-entry
+     */
+    observe(elements, { variant, delay, replay } = {}) {
+        elements.forEach(el => {
+            if (!el.hasAttribute('data-animate') || (variant && !el.dataset.animate)) {
+                el.dataset.animate = variant || '';
+            }
+            if (delay !== undefined && el.dataset.animateDelay === undefined) el.dataset.animateDelay = delay;
+            if (replay && el.dataset.animateReplay === undefined) el.dataset.animateReplay = '';
+        });
+
+        // Forget elements replaced by a re-render
+        this.elements = this.elements.filter(el => {
+            if (el.isConnected) return true;
+            if (this.observer) this.observer.unobserve(el);
+            return false;
+        });
+        this.elements.push(...elements);
+
+        if (this.observer) {
+            elements.forEach(el => this.observer.observe(el));
+        } else {
+            elements.forEach(el => this.reveal(el));
+        }
+    },
+
+    /**
+     * Handle intersection observer callback
+     * @param {IntersectionObserverEntry[]} entries - Observed entries
+     */
+    handleIntersection(entries) {
+        // Elements of a staggered container entering together, in order
+        const batches = new Map();
+
+        entries.forEach(entry => {
+            const el = entry.target;
+
+            if (!entry.isIntersecting) {
+                if (el.dataset.animateReplay !== undefined) el.classList.remove('visible');
+                return;
+            }
+
+            if (el.dataset.animateReplay === undefined) this.observer.unobserve(el);
+
+            const container = el.parentElement && el.parentElement.closest('[data-animate-stagger]');
+            if (!container) {
+                this.reveal(el);
+                return;
+            }
+
+            if (!batches.has(container)) batches.set(container, []);
+            batches.get(container).push(el);
+        });
+
+        batches.forEach((group, container) => {
+            const step = Number(container.dataset.animateStagger) || 0;
+            group.forEach((el, index) => this.reveal(el, index * step));
+        });
+    },
+
+    /**
+     * Show an element, honoring its own delay plus any stagger offset
+     * @param {HTMLElement} el - Animated element
+     * @param {number} [offset=0] - Stagger offset in milliseconds
+     */
+    reveal(el, offset = 0) {
+        const delay = this.reducedMotion && this.reducedMotion.matches
+            ? 0
+            : (Number(el.dataset.animateDelay) || 0) + offset;
+
+        if (delay > 0) {
+            el.style.transitionDelay = `${delay}ms`;
+
+            // Hover transitions on the element must not inherit the delay
+            const clear = (e) => {
+                if (e.target !== el) return;
+                el.style.transitionDelay = '';
+                el.removeEventListener('transitionend', clear);
+            };
+            el.addEventListener('transitionend', clear);
+        }
+
+        el.classList.add('visible');
+    },
+
+    /**
+     * Reveal every element immediately and stop observing
+     */
+    revealAll() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        this.elements.forEach(el => this.reveal(el));
+    }
+};
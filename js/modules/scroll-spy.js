@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Scroll Spy: current section & scrolled state
+ * @module modules/scroll-spy
+ */
+
+import { CONFIG, SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { Events } from '../core/events.js';
+
+// ============================================================================
+// SCROLL SPY MODULE
+// ============================================================================
+
+/**
+ * Scroll position service built on IntersectionObserver, so nothing
+ * reads layout on scroll. Reports the section crossing a band near the
+ * top of the viewport and whether the page has scrolled past
+ * CONFIG.scrollThreshold (watched through an invisible sentinel).
+ * @namespace ScrollSpy
+ */
+export const ScrollSpy = {
+    /** @type {string|null} Id of the current section */
+    section: null,
+    /** @type {boolean|null} Whether the page is scrolled past the threshold */
+    scrolled: null,
+    /** @type {Object<string, Function[]>} */
+    listeners: { section: [], scrolled: [] },
+    /** @type {IntersectionObserver[]} */
+    observers: [],
+    /** @type {HTMLElement|null} */
+    sentinel: null,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize scroll spy module
+     * @param {HTMLElement|Document} [root=document] - Subtree holding the sections
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+
+        if (!('IntersectionObserver' in window)) {
+            // Fallback: header state only, from a single scroll listener
+            const check = () => this.setScrolled(window.scrollY > CONFIG.scrollThreshold);
+            window.addEventListener('scroll', Utils.throttle(check, 100), {
+                passive: true,
+                signal: this.controller.signal
+            });
+            check();
+            return;
+        }
+
+        this.observeThreshold();
+        this.observeSections(root);
+    },
+
+    /**
+     * Disconnect the observers and remove the sentinel. Subscribers
+     * stay registered unless their own signal ended them.
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+
+        this.observers.forEach(observer => observer.disconnect());
+        this.observers = [];
+
+        if (this.sentinel) this.sentinel.remove();
+        this.sentinel = null;
+
+        this.section = null;
+        this.scrolled = null;
+    },
+
+    /**
+     * Watch a sentinel as tall as the threshold at the top of the page
+     */
+    observeThreshold() {
+        this.sentinel = document.createElement('div');
+        this.sentinel.className = 'scroll-sentinel';
+        this.sentinel.setAttribute('aria-hidden', 'true');
+        this.sentinel.style.height = `${CONFIG.scrollThreshold}px`;
+        document.body.prepend(this.sentinel);
+
+        const observer = new IntersectionObserver(([entry]) => {
+            this.setScrolled(!entry.isIntersecting);
+        });
+        observer.observe(this.sentinel);
+        this.observers.push(observer);
+    },
+
+    /**
+     * Watch which section crosses the CONFIG.scrollSpy.rootMargin band
+     * @param {HTMLElement|Document} [root=document] - Subtree to scan
+     */
+    observeSections(root = document) {
+        const observer = new IntersectionObserver(
+            (entries) => {
+                const entry = entries.find(item => item.isIntersecting);
+                // Between sections the last one stays current
+                if (entry) this.setSection(entry.target.id);
+            },
+            { rootMargin: CONFIG.scrollSpy.rootMargin }
+        );
+
+        Utils.getElements(SELECTORS.sections, root).forEach(section => observer.observe(section));
+        this.observers.push(observer);
+    },
+
+    /**
+     * Subscribe to current section changes
+     * @param {Function} callback - Receives the section id
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Unsubscribes on abort
+     */
+    onSectionChange(callback, { signal } = {}) {
+        if (signal && signal.aborted) return;
+        Utils.subscribe(this.listeners.section, callback, signal);
+        if (this.section !== null) callback(this.section);
+    },
+
+    /**
+     * Subscribe to scrolled state changes
+     * @param {Function} callback - Receives whether the page is scrolled
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Unsubscribes on abort
+     */
+    onScrolledChange(callback, { signal } = {}) {
+        if (signal && signal.aborted) return;
+        Utils.subscribe(this.listeners.scrolled, callback, signal);
+        if (this.scrolled !== null) callback(this.scrolled);
+    },
+
+    /**
+     * Update the current section and notify subscribers
+     * @param {string} id - Section id
+     */
+    setSection(id) {
+        if (id === this.section) return;
+        this.section = id;
+        this.listeners.section.forEach(callback => callback(id));
+        Events.emit('section:changed', { id });
+    },
+
+    /**
+     * Update the scrolled state and notify subscribers
+     * @param {boolean} scrolled - Whether the page is scrolled
+     */
+    setScrolled(scrolled) {
+        if (scrolled === this.scrolled) return;
+        this.scrolled = scrolled;
+        this.listeners.scrolled.forEach(callback => callback(scrolled));
+    }
+};
@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Services: catalog-driven cards, options & footer list
+ * @module modules/services
+ */
+
+import { CONFIG, SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { I18n } from './i18n.js';
+import { ScrollAnimations } from './scroll-animations.js';
+import { WhatsApp } from './whatsapp.js';
+
+// ============================================================================
+// SERVICES MODULE
+// ============================================================================
+
+/**
+ * Services catalog. Renders the service cards, the contact form
+ * options and the footer list from a single JSON source.
+ * @namespace Services
+ */
+export const Services = {
+    /** @type {Object[]} */
+    catalog: [],
+    /** @type {Promise<Object[]>|null} */
+    ready: null,
+    /** @type {string} */
+    currency: 'MXN',
+    /** @type {HTMLElement|Document} */
+    root: document,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize services module
+     * @param {HTMLElement|Document} [root=document] - Subtree to render into
+     * @returns {Promise<Object[]>} Resolves with the catalog once rendered
+     */
+    init(root = document) {
+        this.root = root;
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        this.ready = this.load()
+            .then(data => {
+                this.currency = data.currency || this.currency;
+                this.catalog = data.services || [];
+                if (signal.aborted) return this.catalog;
+
+                this.render();
+                I18n.onChange(() => this.render(), { signal });
+                return this.catalog;
+            })
+            .catch(error => {
+                console.error('Services catalog error:', error);
+                if (!signal.aborted) this.renderError();
+                return [];
+            });
+
+        return this.ready;
+    },
+
+    /**
+     * Stop re-rendering on locale changes (and skip a pending render)
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+    },
+
+    /**
+     * Fetch the catalog JSON
+     * @returns {Promise<Object>} Catalog data
+     */
+    async load() {
+        const response = await fetch(CONFIG.services.catalogUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    },
+
+    /**
+     * Find a catalog entry
+     * @param {string} id - Service id
+     * @returns {Object|undefined} Service
+     */
+    get(id) {
+        return this.catalog.find(service => service.id === id);
+    },
+
+    /**
+     * Merge an entry's translations for the active locale over its
+     * source (Spanish) fields. Translated `prices` match by position.
+     * @param {Object} service - Catalog entry
+     * @returns {Object} Localized entry
+     */
+    localize(service) {
+        const translation = (service.translations || {})[I18n.locale];
+        if (!translation) return service;
+
+        const prices = (service.prices || []).map((item, index) => ({
+            ...item,
+            ...((translation.prices || [])[index] || {})
+        }));
+
+        return { ...service, ...translation, prices };
+    },
+
+    /**
+     * Format a catalog price
+     * @param {Object} item - Price entry ({ name, price, unit })
+     * @returns {string} e.g. "Axilas - $850/sesión"
+     */
+    formatPrice(item) {
+        const unit = item.unit ? `/${item.unit}` : '';
+        return `${item.name} - ${I18n.formatCurrency(item.price, this.currency)}${unit}`;
+    },
+
+    /**
+     * Card line for a service's entry package, from CONFIG.estimator so
+     * the card and the estimator quote always agree
+     * @param {string} id - Service id
+     * @returns {string} e.g. "Paquete 6 sesiones -20%", empty without packages
+     */
+    formatPackage(id) {
+        const tiers = CONFIG.estimator.packages[id] || [];
+        if (tiers.length === 0) return '';
+
+        const tier = tiers.reduce((first, item) => (item.sessions < first.sessions ? item : first));
+        return I18n.t('services.package', {
+            sessions: tier.sessions,
+            discount: I18n.formatNumber(tier.discount, { style: 'percent' })
+        });
+    },
+
+    /**
+     * Render every catalog-driven element
+     */
+    render() {
+        this.renderCards();
+        this.renderSelectOptions();
+        this.renderFooterList();
+    },
+
+    /**
+     * Render the service cards from the card template
+     */
+    renderCards() {
+        const grid = Utils.getElement(SELECTORS.servicesGrid, this.root);
+        const template = Utils.getElement(SELECTORS.serviceCardTemplate, this.root);
+        if (!grid || !template) return;
+
+        const cards = this.catalog.map(service => this.createCard(this.localize(service), template));
+
+        grid.textContent = '';
+        grid.append(...cards);
+        grid.removeAttribute('aria-busy');
+
+        ScrollAnimations.observe(cards);
+    },
+
+    /**
+     * Build a single service card
+     * @param {Object} service - Catalog entry
+     * @param {HTMLTemplateElement} template - Card template
+     * @returns {HTMLElement} Card element
+     */
+    createCard(service, template) {
+        const card = template.content.firstElementChild.cloneNode(true);
+        const find = selector => Utils.getElement(selector, card);
+
+        card.dataset.service = service.id;
+        card.classList.toggle('service-card--featured', Boolean(service.featured));
+
+        const badge = find('.service-card__badge');
+        if (service.badge) {
+            badge.textContent = service.badge;
+        } else {
+            badge.remove();
+        }
+
+        find('.service-card__icon use').setAttribute('href', `#icon-${service.icon}`);
+        find('.service-card__title').textContent = service.name;
+        find('.service-card__description').textContent = service.description;
+        find('.service-card__price').textContent = service.summary || this.formatPackage(service.id);
+        find('.service-card__link-text').textContent = service.cta || I18n.t('services.cta');
+        find('.service-card__link').dataset.bookingService = service.id;
+
+        const whatsapp = find('.service-card__whatsapp');
+        whatsapp.href = WhatsApp.buildUrl(WhatsApp.compose({ service: service.id }));
+        whatsapp.setAttribute('aria-label', `${I18n.t('services.whatsapp')}: ${service.name}`);
+
+        const features = find('.service-card__features');
+        (service.prices || []).forEach(item => {
+            const li = document.createElement('li');
+            li.textContent = this.formatPrice(item);
+            features.appendChild(li);
+        });
+
+        return card;
+    },
+
+    /**
+     * Insert catalog options into the contact form select,
+     * before its static "Otro" option
+     */
+    renderSelectOptions() {
+        const select = Utils.getElement(SELECTORS.contactService, this.root);
+        if (!select) return;
+
+        const selected = select.value;
+        const other = select.querySelector('option[value="otro"]');
+
+        Utils.getElements('option[data-catalog]', select).forEach(option => option.remove());
+        this.catalog.map(service => this.localize(service)).forEach(service => {
+            const option = new Option(service.name, service.id);
+            option.dataset.catalog = '';
+            select.insertBefore(option, other);
+        });
+
+        select.value = selected;
+    },
+
+    /**
+     * Render the footer services list
+     */
+    renderFooterList() {
+        const list = Utils.getElement(SELECTORS.footerServices, this.root);
+        if (!list) return;
+
+        list.textContent = '';
+        this.catalog.map(service => this.localize(service)).forEach(service => {
+            const li = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = '#servicios';
+            link.textContent = service.name;
+            li.appendChild(link);
+            list.appendChild(li);
+        });
+    },
+
+    /**
+     * Show a fallback message when the catalog cannot load
+     */
+    renderError() {
+        const grid = Utils.getElement(SELECTORS.servicesGrid, this.root);
+        if (!grid) return;
+
+        grid.removeAttribute('aria-busy');
+        grid.textContent = I18n.t('services.loadError');
+    }
+};
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Spam Guard: honeypot, fill time, rate limit & proof of work
+ * @module modules/spam-guard
+ */
+
+import { CONFIG } from '../config.js';
+
+// ============================================================================
+// SPAM GUARD MODULE
+// ============================================================================
+
+/**
+ * Self-hosted bot protection for forms, in layers: a honeypot field,
+ * a minimum fill time, a per-browser rate limit and an optional
+ * proof-of-work token the server can verify. Callers reject the
+ * honeypot silently so bots get no signal; the fill time and rate limit
+ * can catch people too, so those get a real error.
+ *
+ * Server check for the token (`difficulty:timestamp:salt:nonce`): its
+ * SHA-256 has at least the required leading zero bits and its salt was
+ * not seen before.
+ * @namespace SpamGuard
+ */
+export const SpamGuard = {
+    /** @type {WeakMap<HTMLFormElement, Object>} State per form: { loadedAt, token } */
+    forms: new WeakMap(),
+
+    /**
+     * Start protecting a form. The proof of work is computed once the
+     * visitor starts typing, so idle visits cost nothing.
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops watching on abort
+     */
+    protect(form, { signal } = {}) {
+        this.forms.set(form, { loadedAt: Date.now(), token: null });
+        form.addEventListener('input', () => this.prepare(form), { once: true, signal });
+    },
+
+    /**
+     * Start (or reuse) the proof of work for a form
+     * @param {HTMLFormElement} form - Form element
+     * @returns {Promise<string|null>} Token, or null when disabled or unsupported
+     */
+    prepare(form) {
+        const state = this.forms.get(form);
+        const { enabled, difficulty } = CONFIG.spam.proofOfWork;
+        if (!state || !enabled) return Promise.resolve(null);
+
+        if (!state.token) {
+            state.token = this.solve(difficulty).catch(() => null);
+        }
+        return state.token;
+    },
+
+    /**
+     * Run the cheap checks before sending
+     * @param {HTMLFormElement} form - Form element
+     * @returns {string} Reason to reject ('honeypot', 'too_fast' or
+     *     'rate_limited'), empty when the submission may go out
+     */
+    check(form) {
+        const state = this.forms.get(form);
+        const trap = form.elements[CONFIG.spam.honeypot];
+
+        if (trap && trap.value) return 'honeypot';
+        if (!state || Date.now() - state.loadedAt < CONFIG.spam.minFillTime) return 'too_fast';
+        if (this.isRateLimited()) return 'rate_limited';
+        return '';
+    },
+
+    /**
+     * Prepare outgoing data: drop the honeypot and attach the token.
+     * Each token is used for a single submission.
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object} data - Form data
+     * @returns {Promise<Object>} Data to send
+     */
+    async stamp(form, data) {
+        const { [CONFIG.spam.honeypot]: trap, ...clean } = data;
+        const token = await this.prepare(form);
+
+        if (token) clean[CONFIG.spam.proofOfWork.field] = token;
+
+        const state = this.forms.get(form);
+        if (state) state.token = null;
+
+        return clean;
+    },
+
+    /**
+     * Drop the proof-of-work token from data stored for a later send:
+     * the token carries its creation time, so a replay can be stale
+     * @param {Object} data - Form data
+     * @returns {Object} Data without the token
+     */
+    unstamp(data) {
+        const { [CONFIG.spam.proofOfWork.field]: token, ...clean } = data;
+        return clean;
+    },
+
+    /**
+     * Attach a new proof-of-work token to stored data right before
+     * sending it
+     * @param {Object} data - Form data
+     * @returns {Promise<Object>} Data to send
+     */
+    async restamp(data) {
+        const clean = this.unstamp(data);
+        const { enabled, difficulty, field } = CONFIG.spam.proofOfWork;
+        const token = enabled ? await this.solve(difficulty).catch(() => null) : null;
+
+        if (token) clean[field] = token;
+        return clean;
+    },
+
+    /**
+     * Find a token whose SHA-256 starts with `difficulty` zero bits
+     * @param {number} difficulty - Required leading zero bits
+     * @returns {Promise<string|null>} Token, or null without Web Crypto
+     */
+    async solve(difficulty) {
+        if (!window.crypto || !window.crypto.subtle) return null;
+
+        const salt = Array.from(crypto.getRandomValues(new Uint8Array(8)))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+        const prefix = `${difficulty}:${Date.now()}:${salt}:`;
+        const encoder = new TextEncoder();
+        const batch = 256;
+
+        for (let start = 0; ; start += batch) {
+            const tokens = Array.from({ length: batch }, (_, index) => prefix + (start + index));
+            const hashes = await Promise.all(tokens.map(token =>
+                crypto.subtle.digest('SHA-256', encoder.encode(token))
+            ));
+
+            const found = hashes.findIndex(hash => this.leadingZeroBits(new Uint8Array(hash)) >= difficulty);
+            if (found !== -1) return tokens[found];
+        }
+    },
+
+    /**
+     * Count the leading zero bits of a hash
+     * @param {Uint8Array} bytes - Hash bytes
+     * @returns {number}
+     */
+    leadingZeroBits(bytes) {
+        let bits = 0;
+
+        for (const byte of bytes) {
+            if (byte !== 0) return bits + Math.clz32(byte) - 24;
+            bits += 8;
+        }
+
+        return bits;
+    },
+
+    /**
+     * Send times within the rate limit window
+     * @returns {number[]} Timestamps
+     */
+    readSends() {
+        const { storageKey, window: span } = CONFIG.spam.rateLimit;
+
+        try {
+            const sends = JSON.parse(localStorage.getItem(storageKey)) || [];
+            return sends.filter(time => Date.now() - time < span);
+        } catch (error) {
+            return [];
+        }
+    },
+
+    /**
+     * Whether this browser used up its sends for the window
+     * @returns {boolean}
+     */
+    isRateLimited() {
+        return this.readSends().length >= CONFIG.spam.rateLimit.max;
+    },
+
+    /**
+     * Count a successful send against the rate limit
+     */
+    recordSend() {
+        try {
+            localStorage.setItem(
+                CONFIG.spam.rateLimit.storageKey,
+                JSON.stringify([...this.readSends(), Date.now()])
+            );
+        } catch (error) {
+            // Storage unavailable: the limit cannot be enforced
+        }
+    }
+};
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Submission: form transports, retries & timeouts
+ * @module modules/submission
+ */
+
+import { CONFIG } from '../config.js';
+
+// ============================================================================
+// SUBMISSION MODULE
+// ============================================================================
+
+/**
+ * Error raised when a submission fails
+ * @param {string} message - Error description
+ * @param {Object} [details] - Error details
+ * @param {number} [details.status=0] - HTTP status (0 for network errors)
+ * @param {Object<string, string>} [details.fieldErrors={}] - Server-side field errors
+ * @param {boolean} [details.retryable=false] - Whether the request may be retried
+ */
+export class SubmissionError extends Error {
+    constructor(message, { status = 0, fieldErrors = {}, retryable = false } = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.status = status;
+        this.fieldErrors = fieldErrors;
+        this.retryable = retryable;
+    }
+
+    /**
+     * Whether the server rejected specific fields
+     * @returns {boolean}
+     */
+    hasFieldErrors() {
+        return Object.keys(this.fieldErrors).length > 0;
+    }
+}
+
+/**
+ * Form submission layer with pluggable transports
+ * @namespace Submission
+ */
+export const Submission = {
+    /**
+     * Registered transports. Each one receives the form data and the
+     * resolved options and returns a Promise.
+     * @type {Object<string, Function>}
+     */
+    transports: {
+        /**
+         * POST the data as a JSON body
+         * @param {Object} data - Form data
+         * @param {Object} options - Submission options
+         * @returns {Promise<Object|null>} Parsed response body
+         */
+        json(data, options) {
+            return Submission.request(options.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(data)
+            }, options);
+        },
+
+        /**
+         * POST the data as multipart/form-data
+         * @param {Object} data - Form data
+         * @param {Object} options - Submission options
+         * @returns {Promise<Object|null>} Parsed response body
+         */
+        formData(data, options) {
+            const body = new FormData();
+            Object.entries(data).forEach(([key, value]) => body.append(key, value));
+
+            return Submission.request(options.endpoint, {
+                method: 'POST',
+                headers: { 'Accept': 'application/json' },
+                body
+            }, options);
+        },
+
+        /**
+         * Open the visitor's mail client with the message prefilled.
+         * Nothing reaches the clinic until the visitor sends that email,
+         * so the result marks a hand-off rather than a delivery.
+         * @param {Object} data - Form data
+         * @param {Object} options - Submission options
+         * @returns {Promise<{handedOff: string}>}
+         */
+        mailto(data, options) {
+            const subject = `Solicitud de cita - ${data.name || 'Sitio web'}`;
+            // Underscore fields are for the server (e.g. the proof-of-work token)
+            const body = Object.entries(data)
+                .filter(([key, value]) => value && !key.startsWith('_'))
+                .map(([key, value]) => `${key}: ${value}`)
+                .join('\n');
+
+            window.location.href = `mailto:${options.mailto}` +
+                `?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+
+            return Promise.resolve({ handedOff: 'mailto' });
+        }
+    },
+
+    /**
+     * Register a custom transport
+     * @param {string} name - Transport name
+     * @param {Function} transport - (data, options) => Promise
+     */
+    registerTransport(name, transport) {
+        this.transports[name] = transport;
+    },
+
+    /**
+     * Send data through the configured transport, retrying transient
+     * failures with exponential backoff and walking the fallback chain
+     * when exhausted
+     * @param {Object} data - Form data
+     * @param {Object} [overrides] - Options overriding CONFIG.submission
+     * @returns {Promise<Object|null>} Transport result
+     */
+    async send(data, overrides = {}) {
+        const options = { ...CONFIG.submission, ...overrides };
+        const fallbacks = [].concat(options.fallback || [])
+            .filter(name => name !== options.transport);
+        const chain = [options.transport, ...fallbacks];
+
+        for (let i = 0; ; i++) {
+            try {
+                return await this.attempt(chain[i], data, options);
+            } catch (error) {
+                const retryable = error instanceof SubmissionError && error.retryable;
+                if (!retryable || i >= chain.length - 1) throw error;
+            }
+        }
+    },
+
+    /**
+     * Run a transport with retries
+     * @param {string} name - Transport name
+     * @param {Object} data - Form data
+     * @param {Object} options - Resolved options
+     * @returns {Promise<Object|null>} Transport result
+     */
+    async attempt(name, data, options) {
+        const transport = this.transports[name];
+        if (!transport) {
+            throw new SubmissionError(`Unknown transport: ${name}`);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await transport(data, options);
+            } catch (error) {
+                const retryable = error instanceof SubmissionError && error.retryable;
+                if (!retryable || attempt >= options.retries) throw error;
+
+                await this.wait(options.retryDelay * 2 ** attempt);
+            }
+        }
+    },
+
+    /**
+     * Perform a fetch with timeout and map failures to SubmissionError
+     * @param {string} url - Request URL
+     * @param {RequestInit} init - Fetch options
+     * @param {Object} options - Resolved options
+     * @returns {Promise<Object|null>} Parsed JSON body, if any
+     */
+    async request(url, init, options) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), options.timeout);
+        let response;
+        let body;
+
+        // The timeout covers reading the body too: a server can send the
+        // headers and then stall
+        try {
+            response = await fetch(url, { ...init, signal: controller.signal });
+            body = await this.parseBody(response);
+        } catch (error) {
+            const message = error.name === 'AbortError' ? 'Request timed out' : 'Network error';
+            throw new SubmissionError(message, { retryable: true });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            const { status } = response;
+            throw new SubmissionError((body && body.message) || `HTTP ${status}`, {
+                status,
+                fieldErrors: this.normalizeFieldErrors(body),
+                retryable: status >= 500 || status === 408 || status === 429
+            });
+        }
+
+        return body;
+    },
+
+    /**
+     * Parse a JSON response body, tolerating empty or non-JSON bodies
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Object|null>} Parsed body or null
+     * @throws {DOMException} AbortError if the request is aborted while reading
+     */
+    async parseBody(response) {
+        const type = response.headers.get('Content-Type') || '';
+        if (!type.includes('json')) return null;
+
+        try {
+            return await response.json();
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            return null;
+        }
+    },
+
+    /**
+     * Normalize server field errors into a name => message map.
+     * Accepts `{ errors: { email: '...' } }` or
+     * `{ errors: [{ field: 'email', message: '...' }] }`.
+     * @param {Object|null} body - Response body
+     * @returns {Object<string, string>} Field errors
+     */
+    normalizeFieldErrors(body) {
+        const errors = body && body.errors;
+        if (!errors) return {};
+
+        if (Array.isArray(errors)) {
+            return errors.reduce((map, { field, message }) => {
+                if (field) map[field] = message;
+                return map;
+            }, {});
+        }
+
+        return { ...errors };
+    },
+
+    /**
+     * Promise-based delay
+     * @param {number} ms - Milliseconds
+     * @returns {Promise}
+     */
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+};
@@ -0,0 +1,548 @@
+/**
+ * @fileoverview Testimonials Slider: accessible carousel
+ * @module modules/testimonials-slider
+ */
+
+import { CONFIG, SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { getVisibleSlides, getPageCount, getPageStart, getPageCards, resolvePage, getPageOf } from '../lib/slider.js';
+import { Analytics } from './analytics.js';
+import { I18n } from './i18n.js';
+
+// ============================================================================
+// TESTIMONIALS SLIDER MODULE
+// ============================================================================
+
+/**
+ * Testimonials carousel following the WAI-ARIA carousel pattern:
+ * rotation control, tabbed page picker with arrow-key support, hidden
+ * off-screen slides and polite announcements while not rotating.
+ * Autoplay pauses on hover and focus-within, and starts paused when the
+ * user prefers reduced motion.
+ *
+ * The slider moves in pages of `visibleSlides` cards; the last page is
+ * aligned to the end so it never shows blank space. In loop mode
+ * (CONFIG.sliderLoop or `data-loop` on the slider) the edge cards are
+ * cloned so the track keeps moving forward past the last page.
+ * @namespace TestimonialsSlider
+ */
+export const TestimonialsSlider = {
+    /** @type {HTMLElement} */
+    slider: null,
+    /** @type {HTMLElement} */
+    track: null,
+    /** @type {HTMLElement[]} */
+    cards: [],
+    /** @type {HTMLElement} */
+    dotsContainer: null,
+    /** @type {HTMLElement[]} */
+    dots: [],
+    /** @type {HTMLElement} */
+    prevBtn: null,
+    /** @type {HTMLElement} */
+    nextBtn: null,
+    /** @type {HTMLElement} */
+    rotationBtn: null,
+    /** @type {number} */
+    currentPage: 0,
+    /** @type {number} */
+    totalSlides: 0,
+    /** @type {number} */
+    visibleSlides: 1,
+    /** @type {boolean} */
+    loop: false,
+    /** @type {number} Clones placed before the first real card */
+    cloneCount: 0,
+    /** @type {Function|null} Pending jump back from the clones */
+    settleHandler: null,
+    /** @type {number|null} */
+    autoplayInterval: null,
+    /** @type {boolean} Rotation stopped by the user (or reduced motion) */
+    isPaused: false,
+    /** @type {boolean} Pointer or focus inside the carousel */
+    isInteracting: false,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize slider module
+     * @param {HTMLElement|Document} [root=document] - Subtree holding the slider
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+        this.slider = Utils.getElement(SELECTORS.testimonialSlider, root);
+        if (!this.slider) return;
+
+        this.track = Utils.getElement(SELECTORS.testimonialTrack, this.slider);
+        this.dotsContainer = Utils.getElement(SELECTORS.testimonialDotsContainer, this.slider);
+        this.prevBtn = Utils.getElement(SELECTORS.testimonialPrev, root);
+        this.nextBtn = Utils.getElement(SELECTORS.testimonialNext, root);
+        this.rotationBtn = Utils.getElement(SELECTORS.testimonialRotation, root);
+
+        this.loop = 'loop' in this.slider.dataset
+            ? this.slider.dataset.loop !== 'false'
+            : CONFIG.sliderLoop;
+
+        const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.isPaused = Boolean(reducedMotion && reducedMotion.matches);
+
+        this.updateVisibleSlides();
+        this.bindEvents();
+        this.refresh();
+        this.startAutoplay();
+    },
+
+    /**
+     * Stop the rotation and remove listeners
+     */
+    destroy() {
+        this.stopAutoplay();
+
+        if (this.settleHandler && this.track) {
+            this.track.removeEventListener('transitionend', this.settleHandler);
+        }
+        this.settleHandler = null;
+
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+
+        this.slider = null;
+        this.track = null;
+        this.isInteracting = false;
+    },
+
+    /**
+     * Pick up the cards currently in the track (e.g. after the feed
+     * renders or is filtered) and rebuild pages from the start
+     */
+    refresh() {
+        if (!this.track) return;
+
+        this.cards = Utils.getElements(SELECTORS.testimonialCards, this.track)
+            .filter(card => !('clone' in card.dataset));
+        this.totalSlides = this.cards.length;
+        this.currentPage = 0;
+
+        this.setupAria();
+        this.setupClones();
+        this.renderDots();
+        this.labelDots();
+        this.updateSlider(undefined, false);
+    },
+
+    /**
+     * Apply carousel roles to the slides
+     */
+    setupAria() {
+        this.cards.forEach((card, index) => {
+            if (!card.id) card.id = `testimonial-${index + 1}`;
+            card.setAttribute('role', 'group');
+        });
+    },
+
+    /**
+     * Number of pages for the current view
+     * @returns {number}
+     */
+    getPageCount() {
+        return getPageCount(this.totalSlides, this.visibleSlides);
+    },
+
+    /**
+     * Index of the first card shown on a page
+     * @param {number} page - Page index
+     * @returns {number}
+     */
+    getPageStart(page) {
+        return getPageStart(page, this.totalSlides, this.visibleSlides, this.cloneCount > 0);
+    },
+
+    /**
+     * Indexes of the real cards shown on a page (wrapping in loop mode)
+     * @param {number} page - Page index
+     * @returns {number[]}
+     */
+    getPageCards(page) {
+        return getPageCards(page, this.totalSlides, this.visibleSlides, this.cloneCount > 0);
+    },
+
+    /**
+     * Rebuild the loop clones for the current view. Looping needs more
+     * cards than fit on screen, otherwise there is nothing to scroll.
+     */
+    setupClones() {
+        Utils.getElements('[data-clone]', this.track).forEach(clone => clone.remove());
+        this.cloneCount = this.loop && this.totalSlides > this.visibleSlides ? this.visibleSlides : 0;
+
+        const createClone = (card) => {
+            const clone = card.cloneNode(true);
+            clone.removeAttribute('id');
+            clone.removeAttribute('data-animate');
+            clone.removeAttribute('role');
+            clone.removeAttribute('aria-label');
+            clone.removeAttribute('aria-roledescription');
+            clone.dataset.clone = '';
+            clone.setAttribute('aria-hidden', 'true');
+            clone.setAttribute('inert', '');
+            return clone;
+        };
+
+        const head = this.cards.slice(0, this.cloneCount).map(createClone);
+        const tail = this.cards.slice(this.totalSlides - this.cloneCount).map(createClone);
+
+        this.track.prepend(...tail);
+        this.track.append(...head);
+    },
+
+    /**
+     * Generate one picker tab per page
+     */
+    renderDots() {
+        if (!this.dotsContainer) return;
+
+        this.dotsContainer.innerHTML = '';
+        this.dots = [];
+
+        for (let page = 0; page < this.getPageCount(); page++) {
+            const controls = this.getPageCards(page).map(index => this.cards[index].id);
+
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'testimonials__dot';
+            dot.setAttribute('role', 'tab');
+            dot.setAttribute('aria-controls', controls.join(' '));
+            dot.addEventListener('click', () => {
+                this.goToPage(page);
+                this.trackInteraction('dot');
+            });
+
+            this.dotsContainer.appendChild(dot);
+            this.dots.push(dot);
+        }
+
+        // A single page needs no picker
+        this.dotsContainer.hidden = this.dots.length < 2;
+    },
+
+    /**
+     * Set translated labels on the slides, dots and rotation control
+     */
+    labelDots() {
+        this.cards.forEach((card, index) => {
+            card.setAttribute('aria-roledescription', I18n.t('testimonials.slide'));
+            card.setAttribute('aria-label', I18n.t('testimonials.slideLabel', { n: index + 1, total: this.totalSlides }));
+        });
+
+        this.dots.forEach((dot, index) => {
+            dot.setAttribute('aria-label', I18n.t('testimonials.goTo', { n: index + 1, total: this.dots.length }));
+        });
+
+        this.updateRotationButton();
+    },
+
+    /**
+     * Bind slider events
+     */
+    bindEvents() {
+        const { signal } = this.controller;
+
+        if (this.prevBtn) {
+            this.prevBtn.addEventListener('click', () => {
+                this.prev();
+                this.trackInteraction('prev');
+            }, { signal });
+        }
+
+        if (this.nextBtn) {
+            this.nextBtn.addEventListener('click', () => {
+                this.next();
+                this.trackInteraction('next');
+            }, { signal });
+        }
+
+        if (this.rotationBtn) {
+            this.rotationBtn.addEventListener('click', () => {
+                this.toggleRotation();
+                this.trackInteraction(this.isPaused ? 'pause' : 'play');
+            }, { signal });
+        }
+
+        if (this.dotsContainer) {
+            this.dotsContainer.addEventListener('keydown', (e) => this.handleDotsKeydown(e), { signal });
+        }
+
+        I18n.onChange(() => this.labelDots(), { signal });
+
+        // Pause while hovered or while focus is inside the carousel
+        this.slider.addEventListener('mouseenter', () => this.setInteracting(true), { signal });
+        this.slider.addEventListener('mouseleave', () => {
+            this.setInteracting(this.slider.contains(document.activeElement));
+        }, { signal });
+        this.slider.addEventListener('focusin', () => this.setInteracting(true), { signal });
+        this.slider.addEventListener('focusout', (e) => {
+            if (!this.slider.contains(e.relatedTarget)) this.setInteracting(false);
+        }, { signal });
+
+        // Touch support
+        let touchStartX = 0;
+        let touchEndX = 0;
+
+        this.slider.addEventListener('touchstart', (e) => {
+            touchStartX = e.changedTouches[0].screenX;
+        }, { passive: true, signal });
+
+        this.slider.addEventListener('touchend', (e) => {
+            touchEndX = e.changedTouches[0].screenX;
+            this.handleSwipe(touchStartX, touchEndX);
+        }, { passive: true, signal });
+
+        // A resize already debounced when the slider is destroyed is dropped
+        window.addEventListener('resize', Utils.debounce(() => {
+            if (!signal.aborted) this.handleResize();
+        }, 250), { signal });
+    },
+
+    /**
+     * Roving focus between page tabs: arrows, Home and End
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleDotsKeydown(e) {
+        const current = this.dots.indexOf(e.target);
+        if (current === -1) return;
+
+        const last = this.dots.length - 1;
+        const targets = {
+            ArrowRight: current === last ? 0 : current + 1,
+            ArrowLeft: current === 0 ? last : current - 1,
+            Home: 0,
+            End: last
+        };
+
+        if (!(e.key in targets)) return;
+
+        e.preventDefault();
+        this.goToPage(targets[e.key]);
+        this.dots[targets[e.key]].focus();
+        this.trackInteraction('key');
+    },
+
+    /**
+     * Handle touch swipe gesture
+     * @param {number} startX - Start X position
+     * @param {number} endX - End X position
+     */
+    handleSwipe(startX, endX) {
+        const swipeThreshold = 50;
+        const diff = startX - endX;
+
+        if (Math.abs(diff) > swipeThreshold) {
+            if (diff > 0) {
+                this.next();
+            } else {
+                this.prev();
+            }
+            this.trackInteraction('swipe');
+        }
+    },
+
+    /**
+     * Report a visitor-driven slider action (autoplay is not tracked)
+     * @param {string} action - prev, next, dot, key, swipe, pause or play
+     */
+    trackInteraction(action) {
+        Analytics.track(Analytics.events.sliderInteraction, { action, page: this.currentPage + 1 });
+    },
+
+    /**
+     * Recalculate pages when the breakpoint changes, keeping the first
+     * visible card in view
+     */
+    handleResize() {
+        const firstVisible = this.getPageStart(this.currentPage);
+        const previous = this.visibleSlides;
+
+        this.updateVisibleSlides();
+
+        if (this.visibleSlides !== previous) {
+            this.setupClones();
+            this.currentPage = Math.min(getPageOf(firstVisible, this.visibleSlides), this.getPageCount() - 1);
+            this.renderDots();
+            this.labelDots();
+        }
+
+        this.updateSlider(undefined, false);
+    },
+
+    /**
+     * Update number of visible slides based on viewport
+     */
+    updateVisibleSlides() {
+        this.visibleSlides = getVisibleSlides(window.innerWidth);
+    },
+
+    /**
+     * Go to next page
+     */
+    next() {
+        this.goToPage(this.currentPage + 1);
+    },
+
+    /**
+     * Go to previous page
+     */
+    prev() {
+        this.goToPage(this.currentPage - 1);
+    },
+
+    /**
+     * Go to a page, wrapping around at either end. In loop mode the
+     * wrap animates onto the clones and then jumps to the real cards.
+     * @param {number} page - Page index (may be out of range)
+     */
+    goToPage(page) {
+        const { page: target, start, position } = resolvePage(page, this.totalSlides, this.visibleSlides, this.cloneCount > 0);
+
+        this.currentPage = target;
+        this.updateSlider(position);
+
+        if (position !== start) {
+            this.settle();
+        }
+    },
+
+    /**
+     * Go to the page containing a card
+     * @param {number} index - Card index
+     */
+    goToSlide(index) {
+        this.goToPage(getPageOf(index, this.visibleSlides));
+    },
+
+    /**
+     * Jump from the clones back to the matching real cards once the
+     * track transition ends (immediately when there is none)
+     */
+    settle() {
+        const snap = () => {
+            this.settleHandler = null;
+            this.updateSlider(undefined, false);
+        };
+
+        if (this.settleHandler) {
+            this.track.removeEventListener('transitionend', this.settleHandler);
+        }
+
+        const duration = parseFloat(getComputedStyle(this.track).transitionDuration) || 0;
+        if (duration === 0) {
+            snap();
+            return;
+        }
+
+        this.settleHandler = snap;
+        this.track.addEventListener('transitionend', snap, { once: true });
+    },
+
+    /**
+     * Update slider position, indicators and slide visibility
+     * @param {number} [position] - Track position in cards (defaults to the current page)
+     * @param {boolean} [animate=true] - Whether to transition to the position
+     */
+    updateSlider(position = this.getPageStart(this.currentPage), animate = true) {
+        if (!this.track || this.totalSlides === 0) return;
+
+        const slideWidth = this.cards[0].offsetWidth;
+        const gap = parseInt(getComputedStyle(this.track).gap) || 0;
+        const offset = (position + this.cloneCount) * (slideWidth + gap);
+
+        this.track.style.transition = animate ? '' : 'none';
+        this.track.style.transform = `translateX(-${offset}px)`;
+
+        if (!animate) {
+            // Flush the jump before restoring the transition
+            void this.track.offsetWidth;
+            this.track.style.transition = '';
+        }
+
+        // Hide off-screen slides from assistive tech and the tab order
+        const visible = this.getPageCards(this.currentPage);
+
+        this.cards.forEach((card, index) => {
+            const isVisible = visible.includes(index);
+            card.setAttribute('aria-hidden', (!isVisible).toString());
+            card.toggleAttribute('inert', !isVisible);
+        });
+
+        // Update dots
+        this.dots.forEach((dot, index) => {
+            const isActive = index === this.currentPage;
+            dot.classList.toggle('active', isActive);
+            dot.setAttribute('aria-selected', isActive.toString());
+            dot.tabIndex = isActive ? 0 : -1;
+        });
+    },
+
+    /**
+     * Track hover/focus and pause or resume rotation accordingly
+     * @param {boolean} isInteracting - Whether the user is inside the carousel
+     */
+    setInteracting(isInteracting) {
+        this.isInteracting = isInteracting;
+
+        if (isInteracting) {
+            this.stopAutoplay();
+        } else {
+            this.startAutoplay();
+        }
+    },
+
+    /**
+     * Stop or resume rotation from the rotation control
+     */
+    toggleRotation() {
+        this.isPaused = !this.isPaused;
+
+        if (this.isPaused) {
+            this.stopAutoplay();
+        } else if (!this.isInteracting) {
+            this.startAutoplay();
+        }
+
+        this.updateRotationButton();
+    },
+
+    /**
+     * Sync the rotation control label and icon with the paused state
+     */
+    updateRotationButton() {
+        if (!this.rotationBtn) return;
+
+        this.rotationBtn.dataset.state = this.isPaused ? 'paused' : 'playing';
+        this.rotationBtn.setAttribute('aria-label', I18n.t(this.isPaused ? 'testimonials.play' : 'testimonials.pause'));
+    },
+
+    /**
+     * Start autoplay (unless paused or the user is interacting)
+     */
+    startAutoplay() {
+        if (this.autoplayInterval || this.isPaused || this.isInteracting) return;
+
+        this.autoplayInterval = setInterval(() => {
+            this.next();
+        }, CONFIG.sliderAutoplayDelay);
+
+        // Rotating slides must not be announced
+        if (this.track) this.track.setAttribute('aria-live', 'off');
+    },
+
+    /**
+     * Stop autoplay
+     */
+    stopAutoplay() {
+        if (this.autoplayInterval) {
+            clearInterval(this.autoplayInterval);
+            this.autoplayInterval = null;
+        }
+
+        if (this.track) this.track.setAttribute('aria-live', 'polite');
+    }
+};
@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Testimonials: review feed, ratings & structured data
+ * @module modules/testimonials
+ */
+
+import { CONFIG, SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { BusinessProfile } from './business-profile.js';
+import { I18n } from './i18n.js';
+import { Router } from './router.js';
+import { ScrollAnimations } from './scroll-animations.js';
+import { Services } from './services.js';
+import { TestimonialsSlider } from './testimonials-slider.js';
+
+// ============================================================================
+// TESTIMONIALS MODULE
+// ============================================================================
+
+/**
+ * Testimonials feed. Renders the review cards into the slider, the
+ * treatment filter and the rating summary, and publishes the reviews as
+ * AggregateRating/Review structured data.
+ * @namespace Testimonials
+ */
+export const Testimonials = {
+    /** @type {Object[]} */
+    reviews: [],
+    /** @type {string} */
+    source: '',
+    /** @type {string} Active treatment filter ('' for all) */
+    filter: '',
+    /** @type {Promise<void>} Resolves once the feed is rendered (or failed) */
+    ready: null,
+    /** @type {HTMLElement|Document} */
+    root: document,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize testimonials module
+     * @param {HTMLElement|Document} [root=document] - Subtree to render into
+     * @returns {Promise<void>}
+     */
+    init(root = document) {
+        this.root = root;
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        // #testimonios?tratamiento=<id>&pagina=<n> restores the filter and slider page
+        Router.register('testimonios', {
+            enter: params => this.ready.then(() => this.restore(params))
+        }, { signal });
+
+        // Treatment tags and filter labels come from the services catalog
+        this.ready = Promise.all([this.load(), Services.ready])
+            .then(([data]) => {
+                this.source = data.source || '';
+                this.reviews = (data.reviews || [])
+                    .slice()
+                    .sort((a, b) => b.date.localeCompare(a.date));
+                if (signal.aborted) return;
+
+                this.render();
+                this.renderStructuredData();
+                I18n.onChange(() => this.render(), { signal });
+            })
+            .catch(error => {
+                console.error('Testimonials feed error:', error);
+                if (!signal.aborted) this.renderError();
+            });
+
+        return this.ready;
+    },
+
+    /**
+     * Unregister the route and stop re-rendering on locale changes
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+    },
+
+    /**
+     * Apply route parameters to the filter and slider
+     * @param {URLSearchParams} params - `tratamiento` and `pagina`
+     */
+    restore(params) {
+        const service = params.get('tratamiento');
+        if (service !== null && (service === '' || this.reviews.some(review => review.service === service))) {
+            this.setFilter(service);
+        }
+
+        const page = parseInt(params.get('pagina'), 10);
+        if (page > 0 && page <= TestimonialsSlider.getPageCount()) {
+            TestimonialsSlider.goToPage(page - 1);
+        }
+    },
+
+    /**
+     * Fetch the testimonials feed
+     * @returns {Promise<Object>} Feed data
+     */
+    async load() {
+        const response = await fetch(CONFIG.testimonials.feedUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    },
+
+    /**
+     * Merge a review's translation for the active locale
+     * @param {Object} review - Feed entry
+     * @returns {Object} Localized review
+     */
+    localize(review) {
+        const translation = (review.translations || {})[I18n.locale];
+        return translation ? { ...review, ...translation } : review;
+    },
+
+    /**
+     * Average rating and review count
+     * @param {Object[]} [reviews=this.reviews] - Reviews to aggregate
+     * @returns {{ rating: number, count: number }}
+     */
+    getAggregate(reviews = this.reviews) {
+        const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+        return {
+            rating: reviews.length ? Math.round((total / reviews.length) * 10) / 10 : 0,
+            count: reviews.length
+        };
+    },
+
+    /**
+     * Display name of a treatment tag
+     * @param {string} id - Service id
+     * @returns {string}
+     */
+    getTreatmentName(id) {
+        const service = Services.get(id);
+        return service ? Services.localize(service).name : id;
+    },
+
+    /**
+     * Show only the reviews for one treatment
+     * @param {string} [service=''] - Service id, empty for all
+     */
+    setFilter(service = '') {
+        this.filter = service;
+        this.render();
+    },
+
+    /**
+     * Render the filter, summary and cards, then rebuild the slider
+     */
+    render() {
+        this.renderFilters();
+        this.renderSummary();
+        this.renderCards();
+        TestimonialsSlider.refresh();
+    },
+
+    /**
+     * Render the review cards for the active filter
+     */
+    renderCards() {
+        const track = Utils.getElement(SELECTORS.testimonialTrack, this.root);
+        const template = Utils.getElement(SELECTORS.testimonialCardTemplate, this.root);
+        if (!track || !template) return;
+
+        const cards = this.reviews
+            .filter(review => !this.filter || review.service === this.filter)
+            .map(review => this.createCard(this.localize(review), template));
+
+        track.textContent = '';
+        track.append(...cards);
+        track.removeAttribute('aria-busy');
+
+        ScrollAnimations.observe(cards);
+    },
+
+    /**
+     * Build a single review card
+     * @param {Object} review - Feed entry
+     * @param {HTMLTemplateElement} template - Card template
+     * @returns {HTMLElement} Card element
+     */
+    createCard(review, template) {
+        const card = template.content.firstElementChild.cloneNode(true);
+        const find = selector => Utils.getElement(selector, card);
+
+        card.id = `testimonial-${review.id}`;
+        card.dataset.service = review.service;
+
+        const rating = find('.testimonial-card__rating');
+        rating.setAttribute('aria-label', I18n.t('testimonials.stars', { rating: review.rating }));
+        for (let star = 1; star <= 5; star++) {
+            rating.appendChild(this.createStar(star <= review.rating));
+        }
+
+        find('.testimonial-card__quote').textContent = `"${review.text}"`;
+        find('.testimonial-card__avatar span').textContent = review.author
+            .split(/\s+/)
+            .slice(0, 2)
+            .map(word => word.charAt(0))
+            .join('')
+            .toUpperCase();
+        find('.testimonial-card__name').textContent = review.author;
+        find('.testimonial-card__tag').textContent = this.getTreatmentName(review.service);
+
+        const date = find('.testimonial-card__date');
+        date.dateTime = review.date;
+        date.textContent = I18n.formatDate(review.date, { month: 'long', year: 'numeric' });
+
+        return card;
+    },
+
+    /**
+     * Build a star icon
+     * @param {boolean} filled - Whether the star is filled
+     * @returns {SVGElement}
+     */
+    createStar(filled) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('width', '20');
+        svg.setAttribute('height', '20');
+        svg.setAttribute('viewBox', '0 0 20 20');
+        svg.setAttribute('fill', 'currentColor');
+        svg.setAttribute('aria-hidden', 'true');
+        if (!filled) svg.setAttribute('opacity', '0.3');
+
+        const polygon = document.createElementNS(svgNS, 'polygon');
+        polygon.setAttribute('points', '10 1 13 7 19 8 14.5 12.5 15.5 19 10 16 4.5 19 5.5 12.5 1 8 7 7');
+        svg.appendChild(polygon);
+
+        return svg;
+    },
+
+    /**
+     * Render one filter button per reviewed treatment, in catalog order
+     */
+    renderFilters() {
+        const container = Utils.getElement(SELECTORS.testimonialFilters, this.root);
+        if (!container) return;
+
+        const reviewed = new Set(this.reviews.map(review => review.service));
+        const services = Services.catalog
+            .map(service => service.id)
+            .filter(id => reviewed.has(id));
+
+        // Tags missing from the catalog still get a filter
+        reviewed.forEach(id => {
+            if (!services.includes(id)) services.push(id);
+        });
+
+        const hadFocus = container.contains(document.activeElement);
+
+        container.textContent = '';
+        [''].concat(services).forEach(id => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'testimonials__filter';
+            button.textContent = id ? this.getTreatmentName(id) : I18n.t('testimonials.filterAll');
+            button.setAttribute('aria-pressed', (id === this.filter).toString());
+            button.addEventListener('click', () => this.setFilter(id));
+            container.appendChild(button);
+
+            // Re-rendering must not drop keyboard focus
+            if (hadFocus && id === this.filter) button.focus();
+        });
+
+        container.hidden = services.length < 2;
+    },
+
+    /**
+     * Render the average rating for the active filter
+     */
+    renderSummary() {
+        const summary = Utils.getElement(SELECTORS.testimonialSummary, this.root);
+        if (!summary) return;
+
+        const reviews = this.reviews.filter(review => !this.filter || review.service === this.filter);
+        const { rating, count } = this.getAggregate(reviews);
+
+        summary.textContent = I18n.plural('testimonials.summary', count, {
+            rating: I18n.formatNumber(rating, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+            source: this.source
+        });
+    },
+
+    /**
+     * Inject (or replace) the AggregateRating/Review JSON-LD block
+     */
+    renderStructuredData() {
+        if (this.reviews.length === 0) return;
+
+        const { rating, count } = this.getAggregate();
+        const data = {
+            '@context': 'https://schema.org',
+            ...BusinessProfile.getReference(),
+            aggregateRating: {
+                '@type': 'AggregateRating',
+                ratingValue: rating,
+                reviewCount: count,
+                bestRating: 5,
+                worstRating: 1
+            },
+            review: this.reviews.map(review => ({
+                '@type': 'Review',
+                author: { '@type': 'Person', name: review.author },
+                datePublished: review.date,
+                reviewBody: review.text,
+                reviewRating: {
+                    '@type': 'Rating',
+                    ratingValue: review.rating,
+                    bestRating: 5
+                }
+            }))
+        };
+
+        let script = document.getElementById('testimonials-jsonld');
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.id = 'testimonials-jsonld';
+            document.head.appendChild(script);
+        }
+
+        script.textContent = JSON.stringify(data);
+    },
+
+    /**
+     * Show a fallback message when the feed cannot load
+     */
+    renderError() {
+        const track = Utils.getElement(SELECTORS.testimonialTrack, this.root);
+        const slider = Utils.getElement(SELECTORS.testimonialSlider, this.root);
+        const summary = Utils.getElement(SELECTORS.testimonialSummary, this.root);
+
+        if (track) track.removeAttribute('aria-busy');
+        if (slider) slider.hidden = true;
+        if (summary) summary.textContent = I18n.t('testimonials.loadError');
+    }
+};
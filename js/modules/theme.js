@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Theme: light, dark & campaign palettes
+ * @module modules/theme
+ */
+
+import { CONFIG, SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { Events } from '../core/events.js';
+
+// ============================================================================
+// THEME MODULE
+// ============================================================================
+
+/**
+ * Color themes: light, dark and campaign palettes, all defined as
+ * `data-theme` overrides of the :root custom properties. The visitor
+ * chooses light or dark (persisted); without a choice the system
+ * preference decides. Light mode uses the campaign palette set with
+ * `data-campaign` on <html>, if any. An inline script in <head> applies
+ * the same rules before first paint.
+ * @namespace Theme
+ */
+export const Theme = {
+    /** @type {string} Applied theme */
+    current: 'light',
+    /** @type {HTMLElement|null} */
+    toggle: null,
+    /** @type {MediaQueryList|null} */
+    media: null,
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize theme module
+     * @param {HTMLElement|Document} [root=document] - Subtree holding the toggle
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        this.media = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+        this.toggle = Utils.getElement(SELECTORS.themeToggle, root);
+
+        if (this.toggle) {
+            this.toggle.addEventListener('click', () => this.setChoice(this.isDark() ? 'light' : 'dark'), { signal });
+        }
+
+        // Follow the system while the visitor has not chosen
+        if (this.media && this.media.addEventListener) {
+            this.media.addEventListener('change', () => {
+                if (!this.getChoice()) this.apply(this.resolve());
+            }, { signal });
+        }
+
+        this.apply(this.resolve());
+    },
+
+    /**
+     * Remove the toggle and system preference listeners
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+    },
+
+    /**
+     * Stored choice
+     * @returns {'light'|'dark'|null}
+     */
+    getChoice() {
+        try {
+            const choice = localStorage.getItem(CONFIG.theme.storageKey);
+            return choice === 'light' || choice === 'dark' ? choice : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Theme to apply: the stored choice, else the system preference;
+     * light mode uses the active campaign palette
+     * @returns {string} Theme name
+     */
+    resolve() {
+        const choice = this.getChoice();
+        const dark = choice ? choice === 'dark' : Boolean(this.media && this.media.matches);
+        const campaign = document.documentElement.dataset.campaign;
+
+        if (dark) return 'dark';
+        return CONFIG.theme.themes.includes(campaign) ? campaign : 'light';
+    },
+
+    /**
+     * Store the visitor's choice and apply it
+     * @param {'light'|'dark'|null} choice - null follows the system again
+     */
+    setChoice(choice) {
+        try {
+            if (choice) {
+                localStorage.setItem(CONFIG.theme.storageKey, choice);
+            } else {
+                localStorage.removeItem(CONFIG.theme.storageKey);
+            }
+        } catch (error) {
+            // Storage unavailable: the choice lasts for this visit only
+            if (choice) {
+                this.apply(choice === 'dark' ? 'dark' : 'light');
+                return;
+            }
+        }
+
+        this.apply(this.resolve());
+    },
+
+    /**
+     * Whether the dark theme is applied
+     * @returns {boolean}
+     */
+    isDark() {
+        return this.current === 'dark';
+    },
+
+    /**
+     * Apply a theme to the page, the toggle and the browser UI color
+     * @param {string} theme - Theme name
+     */
+    apply(theme) {
+        const changed = theme !== this.current;
+        this.current = theme;
+        document.documentElement.dataset.theme = theme;
+
+        if (this.toggle) this.toggle.setAttribute('aria-pressed', String(this.isDark()));
+
+        const meta = Utils.getElement(SELECTORS.themeColor);
+        if (meta) meta.setAttribute('content', CONFIG.theme.colors[theme] || CONFIG.theme.colors.light);
+
+        if (changed) Events.emit('theme:changed', { theme });
+    }
+};
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Utility initializations
+ * @module modules/utility-init
+ */
+
+import { SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+
+// ============================================================================
+// UTILITY INITIALIZATIONS
+// ============================================================================
+
+/**
+ * Initialize utility features
+ * @namespace UtilityInit
+ */
+export const UtilityInit = {
+    /**
+     * Initialize all utility features
+     * @param {HTMLElement|Document} [root=document] - Subtree to update
+     */
+    init(root = document) {
+        this.setCurrentYear(root);
+    },
+
+    /**
+     * Set current year in footer
+     * @param {HTMLElement|Document} [root=document] - Subtree to search
+     */
+    setCurrentYear(root = document) {
+        const yearElement = Utils.getElement(SELECTORS.currentYear, root);
+        if (yearElement) {
+            yearElement.textContent = new Date().getFullYear().toString();
+        }
+    }
+};
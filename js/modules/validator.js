@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Validator: schema-driven field validation
+ * @module modules/validator
+ */
+
+import { rules } from '../lib/validation.js';
+import { I18n } from './i18n.js';
+
+// ============================================================================
+// VALIDATION MODULE
+// ============================================================================
+
+/**
+ * Schema-driven field validation.
+ *
+ * Rules come from two sources, merged in this order:
+ * 1. `data-validate-*` attributes on the field, e.g.
+ *    `data-validate-required`, `data-validate-min-length="2"`,
+ *    `data-validate-pattern="[A-Z]{3}"`, with an optional
+ *    `data-validate-<rule>-message` per rule.
+ * 2. The JS schema passed to `getRules()` (see VALIDATION_SCHEMA in config.js).
+ *
+ * Each rule receives `(value, param, field)` and returns (or resolves to)
+ * `true` when valid, `false` to use the rule's message, or a string
+ * message of its own.
+ * @namespace Validator
+ */
+export const Validator = {
+    /** @type {Object<string, Function>} Built-in rules plus registered ones */
+    rules: { ...rules },
+
+    /**
+     * Default messages (I18n keys or literal text); `{param}` is replaced
+     * by the rule parameter
+     * @type {Object<string, string>}
+     */
+    messages: {
+        required: 'validation.required',
+        minLength: 'validation.minLength',
+        maxLength: 'validation.maxLength',
+        pattern: 'validation.pattern',
+        email: 'validation.email',
+        phone: 'validation.phone',
+        custom: 'validation.custom'
+    },
+
+    /** @type {Set<string>} Broken rules already reported, as "field:rule" */
+    reported: new Set(),
+
+    /**
+     * Register a custom (optionally async) rule, usable from the schema
+     * or as a `data-validate-<name>` attribute
+     * @param {string} name - Rule name (camelCase)
+     * @param {Function} rule - (value, param, field) => boolean|string|Promise
+     * @param {string} [message] - Default error message
+     */
+    register(name, rule, message) {
+        this.rules[name] = rule;
+        if (message) this.messages[name] = message;
+    },
+
+    /**
+     * Function behind a `custom` rule: the descriptor's `validator`, or
+     * the registered rule it names (`data-validate-custom="name"`)
+     * @param {Object} descriptor - Rule descriptor
+     * @returns {Function|null} (value, field) => boolean|string|Promise
+     */
+    resolveCustom({ validator, value }) {
+        if (typeof validator === 'function') return validator;
+
+        const rule = value && value !== 'custom' ? this.rules[value] : null;
+        return rule ? (input, field) => rule(input, undefined, field) : null;
+    },
+
+    /**
+     * Read rule descriptors from `data-validate-*` attributes
+     * @param {HTMLElement} field - Form field
+     * @returns {Object[]} Rule descriptors
+     */
+    fromAttributes(field) {
+        return Object.keys(field.dataset)
+            .filter(key => key.startsWith('validate') && key.length > 8 && !key.endsWith('Message'))
+            .map(key => {
+                const rule = key.charAt(8).toLowerCase() + key.slice(9);
+                const param = field.dataset[key];
+                return {
+                    rule,
+                    value: param === '' ? undefined : param,
+                    message: field.dataset[`${key}Message`]
+                };
+            });
+    },
+
+    /**
+     * Merge attribute and schema rules for a field, `required` first
+     * @param {HTMLElement} field - Form field
+     * @param {Object<string, Object[]>} [schema={}] - Rules keyed by field name
+     * @returns {Object[]} Rule descriptors
+     */
+    getRules(field, schema = {}) {
+        const rules = [...this.fromAttributes(field), ...(schema[field.name] || [])];
+        return rules.sort((a, b) => (b.rule === 'required') - (a.rule === 'required'));
+    },
+
+    /**
+     * Whether a field has any validation rules
+     * @param {HTMLElement} field - Form field
+     * @param {Object<string, Object[]>} [schema={}] - Rules keyed by field name
+     * @returns {boolean}
+     */
+    hasRules(field, schema = {}) {
+        return this.getRules(field, schema).length > 0;
+    },
+
+    /**
+     * Log a rule misconfiguration once per field and rule
+     * @param {string} key - "field:rule" key
+     * @param {...*} details - console.error arguments
+     */
+    report(key, ...details) {
+        if (this.reported.has(key)) return;
+        this.reported.add(key);
+        console.error(...details);
+    },
+
+    /**
+     * Validate a field against its rules. Optional empty fields skip
+     * every rule but `required`. Rules that are missing or throw are
+     * configuration errors, not the visitor's: they are logged and the
+     * field passes them.
+     * @param {HTMLElement} field - Form field
+     * @param {Object[]} rules - Rule descriptors
+     * @returns {Promise<string>} Error message, or '' when valid
+     */
+    async validate(field, rules) {
+        const value = field.type === 'checkbox' ? (field.checked ? field.value : '') : field.value.trim();
+
+        for (const descriptor of rules) {
+            const { rule, value: param, message } = descriptor;
+            const isCustom = rule === 'custom' || !rule;
+            const check = isCustom ? this.rules.custom : this.rules[rule];
+
+            if (!check) {
+                console.warn(`Unknown validation rule: ${rule}`);
+                continue;
+            }
+
+            const validator = isCustom ? this.resolveCustom(descriptor) : null;
+            if (isCustom && !validator) {
+                this.report(`${field.name}:${param || 'custom'}`,
+                    `No custom validator registered for "${field.name}"${param ? ` (${param})` : ''}`);
+                continue;
+            }
+
+            if (!value && rule !== 'required') continue;
+
+            // e.g. an invalid pattern or an offline async check
+            let result;
+            try {
+                result = await check(value, isCustom ? validator : param, field);
+            } catch (error) {
+                this.report(`${field.name}:${isCustom ? param || 'custom' : rule}`,
+                    `Validation rule "${rule || 'custom'}" failed for "${field.name}":`, error);
+                continue;
+            }
+
+            if (result === true) continue;
+
+            if (typeof result === 'string' && result) return I18n.t(result);
+
+            // A named custom rule keeps the message it was registered with
+            const key = isCustom && this.messages[param] ? param : rule || 'custom';
+            const template = message || this.messages[key] || this.messages.custom;
+            return I18n.t(template, { param });
+        }
+
+        return '';
+    }
+};
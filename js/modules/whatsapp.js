@@ -0,0 +1,155 @@
+/**
+ * @fileoverview WhatsApp: prefilled deep links
+ * @module modules/whatsapp
+ */
+
+import { CONFIG, SELECTORS } from '../config.js';
+import { Utils } from '../core/utils.js';
+import { Events } from '../core/events.js';
+import { Analytics } from './analytics.js';
+import { ContactForm } from './contact-form.js';
+import { I18n } from './i18n.js';
+import { Notifications } from './notifications.js';
+import { Services } from './services.js';
+
+// ============================================================================
+// WHATSAPP MODULE
+// ============================================================================
+
+/**
+ * WhatsApp deep links. Builds `wa.me` URLs for the business number
+ * (CONFIG.business.whatsapp) with a prefilled message taken from the
+ * context of the click: a service card, the in-progress contact form
+ * or the last service the visitor looked at.
+ *
+ * Markup hooks: `[data-whatsapp="<source>"]` links (the source is
+ * reported to Analytics), `#contact-whatsapp` button
+ * @namespace WhatsApp
+ */
+export const WhatsApp = {
+    /** @type {string} Last service the visitor interacted with */
+    service: '',
+    /** @type {AbortController|null} */
+    controller: null,
+
+    /**
+     * Initialize WhatsApp module
+     * @param {HTMLElement|Document} [root=document] - Subtree holding the links
+     */
+    init(root = document) {
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        // Links are composed at click time so they reflect current input
+        root.addEventListener('click', (e) => this.handleClick(e), { signal });
+
+        const submit = Utils.getElement(SELECTORS.contactWhatsApp, root);
+        if (submit) {
+            submit.addEventListener('click', () => this.sendForm(), { signal });
+        }
+    },
+
+    /**
+     * Remove click listeners
+     */
+    destroy() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+    },
+
+    /**
+     * Track service context and compose WhatsApp links before they open
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        const card = e.target.closest('[data-service]');
+        if (card) this.service = card.dataset.service;
+
+        const link = e.target.closest(SELECTORS.whatsappLinks);
+        if (!link) return;
+
+        const context = this.getContext(link);
+        link.href = this.buildUrl(this.compose(context));
+
+        const detail = { source: link.dataset.whatsapp || 'link', service: context.service || '' };
+        Analytics.track(Analytics.events.whatsappClick, detail);
+        Events.emit('whatsapp:opened', detail);
+    },
+
+    /**
+     * Pick the message context for a link
+     * @param {HTMLElement} link - Clicked link
+     * @returns {Object} Fields for compose()
+     */
+    getContext(link) {
+        const card = link.closest('[data-service]');
+        if (card) return { service: card.dataset.service };
+
+        const data = ContactForm.form ? ContactForm.getData() : {};
+        if (data.name || data.message || data.service) {
+            return { ...data, service: data.service || this.service };
+        }
+
+        return { service: this.service };
+    },
+
+    /**
+     * Build a wa.me URL
+     * @param {string} [message] - Prefilled message
+     * @returns {string}
+     */
+    buildUrl(message) {
+        const base = `https://wa.me/${CONFIG.business.whatsapp}`;
+        return message ? `${base}?text=${encodeURIComponent(message)}` : base;
+    },
+
+    /**
+     * Compose the prefilled message in the active locale
+     * @param {Object} [fields] - { name, service, message, phone, email }
+     * @returns {string}
+     */
+    compose({ name, service, message, phone, email } = {}) {
+        const serviceName = this.getServiceName(service);
+        const lines = [
+            name ? I18n.t('whatsapp.greetingName', { name }) : I18n.t('whatsapp.greeting'),
+            serviceName ? I18n.t('whatsapp.service', { service: serviceName }) : '',
+            message || '',
+            phone ? I18n.t('whatsapp.phone', { value: phone }) : '',
+            email ? I18n.t('whatsapp.email', { value: email }) : ''
+        ];
+
+        return lines.filter(Boolean).join('\n');
+    },
+
+    /**
+     * Localized service name ("otro" and unknown ids are omitted)
+     * @param {string} [id] - Service id
+     * @returns {string}
+     */
+    getServiceName(id) {
+        const service = id && Services.get(id);
+        return service ? Services.localize(service).name : '';
+    },
+
+    /**
+     * Send the contact form through WhatsApp instead of the server.
+     * Only the name and service are required on this path.
+     */
+    async sendForm() {
+        const results = await Promise.all(['name', 'service'].map(name =>
+            ContactForm.validateField(name, ContactForm.fields[name])
+        ));
+
+        if (!results.every(Boolean)) {
+            ContactForm.focusFirstError();
+            return;
+        }
+
+        const data = ContactForm.getData();
+        window.open(this.buildUrl(this.compose(data)), '_blank', 'noopener');
+
+        Analytics.track(Analytics.events.whatsappClick, { source: 'form', service: data.service });
+        Events.emit('whatsapp:opened', { source: 'form', service: data.service });
+        Notifications.info(I18n.t('whatsapp.opened'));
+    }
+};
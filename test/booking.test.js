@@ -0,0 +1,150 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { window, document, resetDom, flush } from './helpers/dom.js';
+import { CONFIG } from '../js/config.js';
+import { Utils } from '../js/core/utils.js';
+import { Events } from '../js/core/events.js';
+import { Notifications } from '../js/modules/notifications.js';
+import { Services } from '../js/modules/services.js';
+import { Booking } from '../js/modules/booking.js';
+
+describe('Booking', () => {
+    const defaultProvider = CONFIG.booking.provider;
+
+    /** @type {Object[]} Bookings received by the test provider */
+    let reserved;
+    let events;
+    let form;
+
+    /**
+     * Next clinic day after today
+     * @returns {string} ISO date
+     */
+    const nextOpenDay = () => {
+        let date = Utils.getZonedParts(new Date(), CONFIG.schedule.timezone).date;
+        do {
+            date = Utils.addDays(date, 1);
+        } while (!Booking.getHours(date));
+        return date;
+    };
+
+    /**
+     * Choose treatment and date, wait for the slots and fill the contact fields
+     * @param {string} date - ISO date
+     */
+    const fill = async date => {
+        Booking.serviceSelect.value = 'facial';
+        Booking.dateInput.value = date;
+        Booking.dateInput.dispatchEvent(new window.Event('change'));
+        await flush();
+
+        const slot = form.querySelector('input[name="time"]');
+        if (slot) slot.checked = true;
+        form.elements.name.value = 'Ana López';
+        form.elements.email.value = 'ana@example.com';
+        form.elements.phone.value = '55 1234 5678';
+    };
+
+    const submit = async () => {
+        form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+        await flush();
+    };
+
+    beforeEach(async () => {
+        resetDom();
+        reserved = [];
+        Booking.registerProvider('test', {
+            getBusy: async () => [],
+            reserve: async booking => {
+                reserved.push(booking);
+                return { id: 'LUM-TEST' };
+            }
+        });
+        CONFIG.booking.provider = 'test';
+
+        events = [];
+        Events.on('booking:confirmed', detail => events.push(detail));
+
+        form = document.getElementById('booking-form');
+        Notifications.init();
+        Services.init();
+        Booking.init();
+        await Services.ready;
+        await flush();
+    });
+
+    afterEach(() => {
+        Booking.destroy();
+        Services.destroy();
+        Notifications.destroy();
+        Events.handlers.clear();
+        delete Booking.providers.test;
+        CONFIG.booking.provider = defaultProvider;
+    });
+
+    it('books through the clinic API unless configured otherwise', () => {
+        assert.equal(defaultProvider, 'http');
+
+        CONFIG.booking.provider = 'missing';
+        assert.equal(Booking.getProvider(), Booking.providers.http);
+    });
+
+    it('confirms a reservation accepted by the provider', async () => {
+        await fill(nextOpenDay());
+        await submit();
+
+        assert.equal(reserved.length, 1);
+        assert.equal(document.getElementById('booking-confirmation').hidden, false);
+        assert.equal(events[0].id, 'LUM-TEST');
+    });
+
+    it('offers no slots for a date in the past', async () => {
+        const today = Utils.getZonedParts(new Date(), CONFIG.schedule.timezone).date;
+        await fill(Utils.addDays(today, -1));
+
+        assert.equal(form.querySelectorAll('input[name="time"]').length, 0);
+        assert.match(document.getElementById('booking-date-error').textContent, /^Elige una fecha entre hoy y el /);
+        assert.equal(Booking.dateInput.getAttribute('aria-invalid'), 'true');
+    });
+
+    it('offers no slots past the booking window', async () => {
+        const { max } = Booking.getDateRange();
+        await fill(Utils.addDays(max, 1));
+
+        assert.equal(form.querySelectorAll('input[name="time"]').length, 0);
+        assert.notEqual(document.getElementById('booking-date-error').textContent, '');
+
+        await fill(nextOpenDay());
+        assert.equal(document.getElementById('booking-date-error').textContent, '');
+    });
+
+    it('rejects an out-of-range date on submit', async () => {
+        await fill(nextOpenDay());
+        assert.ok(form.querySelector('input[name="time"]:checked'));
+
+        // Changed without a change event, so the listed slots stay
+        const today = Utils.getZonedParts(new Date(), CONFIG.schedule.timezone).date;
+        Booking.dateInput.value = Utils.addDays(today, -3);
+        await submit();
+
+        assert.equal(reserved.length, 0);
+        assert.notEqual(document.getElementById('booking-date-error').textContent, '');
+        assert.equal(document.activeElement, Booking.dateInput);
+    });
+
+    it('never reports a demo reservation as confirmed', async () => {
+        CONFIG.booking.provider = 'local';
+        await fill(nextOpenDay());
+        await flush();
+        await submit();
+        await flush();
+
+        assert.equal(document.getElementById('booking-confirmation').hidden, true);
+        assert.equal(form.hidden, false);
+        assert.equal(events.length, 0);
+
+        const toast = document.querySelector('.toast--warning');
+        assert.ok(toast);
+        assert.match(toast.textContent, /no se envió a la clínica/);
+    });
+});
@@ -0,0 +1,354 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { window, document, resetDom, flush } from './helpers/dom.js';
+import { CONFIG } from '../js/config.js';
+import { Events } from '../js/core/events.js';
+import { MESSAGES } from '../js/messages.js';
+import { Submission, SubmissionError } from '../js/modules/submission.js';
+import { Validator } from '../js/modules/validator.js';
+import { Notifications } from '../js/modules/notifications.js';
+import { Outbox } from '../js/modules/outbox.js';
+import { ContactForm } from '../js/modules/contact-form.js';
+
+describe('ContactForm', () => {
+    const spamDefaults = { minFillTime: CONFIG.spam.minFillTime, proofOfWork: CONFIG.spam.proofOfWork.enabled };
+    const t = key => MESSAGES['es-MX'][key];
+
+    /** @type {Function} Transport used by the form under test */
+    let transport;
+    let form;
+    let events;
+
+    /**
+     * Set a field value the way typing does
+     * @param {string} name - Field name
+     * @param {string|boolean} value - Value (checked state for checkboxes)
+     */
+    const type = (name, value) => {
+        const field = ContactForm.fields[name];
+        if (field.type === 'checkbox') {
+            field.checked = value;
+        } else {
+            field.value = value;
+        }
+        field.dispatchEvent(new window.Event('input', { bubbles: true }));
+    };
+
+    const fillValid = () => {
+        type('name', '  Ana López ');
+        type('email', 'ana@example.com');
+        type('service', 'otro');
+        type('message', 'Quiero información sobre precios.');
+        type('privacy', true);
+    };
+
+    const submit = async () => {
+        form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+        await flush();
+    };
+
+    const blur = name => ContactForm.fields[name].dispatchEvent(new window.FocusEvent('blur'));
+
+    const errorText = name => document.getElementById(`${name}-error`).textContent;
+
+    before(() => {
+        // The spam checks have their own suite of conditions; these tests
+        // submit immediately and skip the proof-of-work hashing
+        CONFIG.spam.minFillTime = 0;
+        CONFIG.spam.proofOfWork.enabled = false;
+
+        Submission.registerTransport('test', (data, options) => transport(data, options));
+    });
+
+    after(() => {
+        CONFIG.spam.minFillTime = spamDefaults.minFillTime;
+        CONFIG.spam.proofOfWork.enabled = spamDefaults.proofOfWork;
+    });
+
+    beforeEach(() => {
+        resetDom();
+        transport = async () => ({});
+        form = document.getElementById('contact-form');
+        form.dataset.transport = 'test';
+
+        events = [];
+        ['form:submitted', 'form:failed', 'form:blocked'].forEach(type => {
+            Events.on(type, detail => events.push({ type, ...detail }));
+        });
+
+        ContactForm.init();
+    });
+
+    afterEach(() => {
+        ContactForm.destroy();
+        Events.handlers.clear();
+    });
+
+    it('validates a field when it loses focus and clears the error on input', async () => {
+        blur('name');
+        await flush();
+
+        assert.equal(errorText('name'), t('validation.name.required'));
+        assert.equal(ContactForm.fields.name.getAttribute('aria-invalid'), 'true');
+
+        type('name', 'Ana');
+        assert.equal(errorText('name'), '');
+        assert.equal(ContactForm.fields.name.hasAttribute('aria-invalid'), false);
+    });
+
+    it('checks email and phone formats', async () => {
+        type('email', 'ana@example');
+        type('phone', '12345');
+        blur('email');
+        blur('phone');
+        await flush();
+
+        assert.equal(errorText('email'), t('validation.email'));
+        assert.equal(errorText('phone'), t('validation.phone.format'));
+
+        type('phone', '+52 55 1234 5678');
+        blur('phone');
+        await flush();
+        assert.equal(errorText('phone'), '');
+    });
+
+    it('lets a field pass when its custom validator is not registered', async () => {
+        const logged = mock.method(console, 'error', () => {});
+        ContactForm.fields.message.dataset.validateCustom = 'noCodes';
+        type('message', 'ABC-123');
+
+        try {
+            blur('message');
+            await flush();
+            blur('message');
+            await flush();
+
+            assert.equal(errorText('message'), '');
+            assert.equal(logged.mock.callCount(), 1);
+
+            Validator.register('noCodes', value => !/\d/.test(value), 'Sin códigos');
+            blur('message');
+            await flush();
+            assert.equal(errorText('message'), 'Sin códigos');
+        } finally {
+            logged.mock.restore();
+            delete Validator.rules.noCodes;
+            delete Validator.messages.noCodes;
+        }
+    });
+
+    it('lets a field pass when its validator throws', async () => {
+        const logged = mock.method(console, 'error', () => {});
+        let sent = null;
+        transport = async (data) => {
+            sent = data;
+            return {};
+        };
+        Validator.register('available', async () => {
+            throw new TypeError('Failed to fetch');
+        });
+
+        try {
+            fillValid();
+            ContactForm.fields.message.dataset.validateCustom = 'available';
+            ContactForm.fields.name.dataset.validatePattern = '[A-Z';
+            await submit();
+
+            assert.equal(errorText('message'), '');
+            assert.equal(errorText('name'), '');
+            assert.equal(sent.message, 'Quiero información sobre precios.');
+            assert.equal(logged.mock.callCount(), 2);
+        } finally {
+            logged.mock.restore();
+            delete Validator.rules.available;
+        }
+    });
+
+    it('blocks an invalid submission and focuses the first invalid field', async () => {
+        let sent = false;
+        transport = async () => {
+            sent = true;
+        };
+
+        await submit();
+
+        assert.equal(sent, false);
+        assert.equal(document.activeElement, ContactForm.fields.name);
+        assert.equal(errorText('service'), t('validation.service.required'));
+        assert.equal(errorText('privacy'), t('validation.privacy.required'));
+    });
+
+    it('sends trimmed values and shows the success panel', async () => {
+        let sent = null;
+        transport = async (data) => {
+            sent = data;
+            return {};
+        };
+
+        fillValid();
+        await submit();
+
+        assert.equal(sent.name, 'Ana López');
+        assert.equal(sent.service, 'otro');
+        assert.equal(sent.privacy, 'accepted');
+
+        const success = document.getElementById('form-success');
+        assert.equal(form.hidden, true);
+        assert.equal(success.hidden, false);
+        assert.equal(success.dataset.status, 'sent');
+        assert.equal(ContactForm.fields.name.value, '');
+        assert.deepEqual(events.map(e => [e.type, e.status]), [['form:submitted', 'sent']]);
+    });
+
+    it('asks to finish in the mail app when neither the server nor the outbox take the message', async () => {
+        const retries = CONFIG.submission.retries;
+        transport = async () => {
+            throw new SubmissionError('Offline', { retryable: true });
+        };
+
+        fillValid();
+        CONFIG.submission.retries = 0;
+        Outbox.init();
+        // jsdom reports the mailto navigation as not implemented
+        const logged = mock.method(console, 'error', () => {});
+        // Storage full: the outbox cannot keep the message
+        const setItem = mock.method(window.Storage.prototype, 'setItem', () => {
+            throw new window.DOMException('Quota exceeded', 'QuotaExceededError');
+        });
+
+        try {
+            await submit();
+        } finally {
+            setItem.mock.restore();
+            logged.mock.restore();
+            Outbox.destroy();
+            CONFIG.submission.retries = retries;
+        }
+
+        const success = document.getElementById('form-success');
+        assert.equal(success.hidden, false);
+        assert.equal(success.dataset.status, 'handedOff');
+        assert.equal(success.querySelector('.contact-form__success-title').textContent, t('contact.handedOff.title'));
+        assert.equal(Outbox.size(), 0);
+        assert.deepEqual(events.map(e => [e.type, e.status]), [['form:submitted', 'handedOff']]);
+    });
+
+    it('keeps the draft when the message is handed off to the mail app', async () => {
+        transport = async () => ({ handedOff: 'mailto' });
+
+        fillValid();
+        ContactForm.saveDraft();
+        await submit();
+
+        assert.equal(document.getElementById('form-success').dataset.status, 'handedOff');
+        assert.equal(ContactForm.readDraft().fields.message, 'Quiero información sobre precios.');
+        assert.equal(ContactForm.fields.message.value, 'Quiero información sobre precios.');
+    });
+
+    it('shows field errors returned by the server', async () => {
+        transport = async () => {
+            throw new SubmissionError('Invalid', { status: 422, fieldErrors: { email: 'Este correo ya está registrado' } });
+        };
+
+        fillValid();
+        await submit();
+
+        assert.equal(errorText('email'), 'Este correo ya está registrado');
+        assert.equal(document.activeElement, ContactForm.fields.email);
+        assert.equal(form.hidden, false);
+        assert.deepEqual(events.map(e => [e.type, e.reason]), [['form:failed', 'validation']]);
+    });
+
+    it('shows the usual success to bots filling the honeypot without sending', async () => {
+        let sent = false;
+        transport = async () => {
+            sent = true;
+        };
+
+        fillValid();
+        type('website', 'https://spam.example');
+        await submit();
+
+        assert.equal(sent, false);
+        assert.equal(document.getElementById('form-success').hidden, false);
+        assert.deepEqual(events.map(e => [e.type, e.reason]), [['form:blocked', 'honeypot']]);
+    });
+
+    it('keeps the message of people stopped by the fill time or rate limit', async () => {
+        const errors = mock.method(Notifications, 'error', () => {});
+        let sent = false;
+        transport = async () => {
+            sent = true;
+        };
+
+        try {
+            fillValid();
+            ContactForm.saveDraft();
+
+            CONFIG.spam.minFillTime = 60000;
+            await submit();
+            CONFIG.spam.minFillTime = 0;
+
+            const sends = Array.from({ length: CONFIG.spam.rateLimit.max }, () => Date.now());
+            window.localStorage.setItem(CONFIG.spam.rateLimit.storageKey, JSON.stringify(sends));
+            await submit();
+
+            assert.equal(sent, false);
+            assert.deepEqual(errors.mock.calls.map(call => call.arguments[0]), [t('contact.tooFast'), t('contact.rateLimited')]);
+            assert.deepEqual(events.map(e => e.reason), ['too_fast', 'rate_limited']);
+            assert.equal(document.getElementById('form-success').hidden, true);
+            assert.equal(ContactForm.fields.message.value, 'Quiero información sobre precios.');
+            assert.ok(ContactForm.readDraft());
+        } finally {
+            CONFIG.spam.minFillTime = 0;
+            errors.mock.restore();
+        }
+    });
+
+    it('autosaves a draft without the consent checkbox', () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+
+        try {
+            fillValid();
+            mock.timers.tick(CONFIG.contactDraft.delay);
+        } finally {
+            mock.timers.reset();
+        }
+
+        const { fields } = JSON.parse(window.localStorage.getItem(CONFIG.contactDraft.storageKey));
+        assert.equal(fields.name, 'Ana López');
+        assert.equal('privacy' in fields, false);
+        assert.equal('website' in fields, false);
+    });
+
+    it('offers to restore a saved draft', async () => {
+        ContactForm.destroy();
+        window.localStorage.setItem(CONFIG.contactDraft.storageKey, JSON.stringify({
+            savedAt: Date.now(),
+            fields: { name: 'Ana', message: 'Hola' }
+        }));
+        ContactForm.init();
+
+        const prompt = document.getElementById('contact-draft');
+        assert.equal(prompt.hidden, false);
+
+        prompt.querySelector('[data-draft-action="restore"]').click();
+        await flush();
+
+        assert.equal(prompt.hidden, true);
+        assert.equal(ContactForm.fields.name.value, 'Ana');
+        assert.equal(ContactForm.fields.message.value, 'Hola');
+    });
+
+    it('ignores drafts past their maximum age', () => {
+        ContactForm.destroy();
+        window.localStorage.setItem(CONFIG.contactDraft.storageKey, JSON.stringify({
+            savedAt: Date.now() - CONFIG.contactDraft.maxAge - 1,
+            fields: { name: 'Ana' }
+        }));
+        ContactForm.init();
+
+        assert.equal(document.getElementById('contact-draft').hidden, true);
+        assert.equal(window.localStorage.getItem(CONFIG.contactDraft.storageKey), null);
+    });
+});
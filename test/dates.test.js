@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toMinutes, fromMinutes, getWeekday, addDays, getZonedParts } from '../js/lib/dates.js';
+
+describe('dates', () => {
+    it('converts between HH:MM and minutes from midnight', () => {
+        assert.equal(toMinutes('09:30'), 570);
+        assert.equal(fromMinutes(570), '09:30');
+        assert.equal(fromMinutes(toMinutes('18:05')), '18:05');
+    });
+
+    it('adds days across month and year boundaries', () => {
+        assert.equal(addDays('2024-01-31', 1), '2024-02-01');
+        assert.equal(addDays('2024-12-31', 1), '2025-01-01');
+        assert.equal(addDays('2024-03-01', -1), '2024-02-29');
+    });
+
+    it('reads the weekday of an ISO date (0 = Sunday)', () => {
+        assert.equal(getWeekday('2024-06-02'), 0);
+        assert.equal(getWeekday('2024-06-08'), 6);
+    });
+
+    it('reports the date and time of an instant in another timezone', () => {
+        // 02:30 UTC on a Saturday is still Friday evening in Mexico City
+        const parts = getZonedParts(new Date('2024-06-08T02:30:00Z'), 'America/Mexico_City');
+
+        assert.deepEqual(parts, { date: '2024-06-07', minutes: 20 * 60 + 30, weekday: 5 });
+    });
+});
@@ -0,0 +1,171 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { window, document, resetDom, flush } from './helpers/dom.js';
+import { CONFIG } from '../js/config.js';
+import { Events } from '../js/core/events.js';
+import { I18n } from '../js/modules/i18n.js';
+import { Notifications } from '../js/modules/notifications.js';
+import { Services } from '../js/modules/services.js';
+import { ContactForm } from '../js/modules/contact-form.js';
+import { Estimator } from '../js/modules/estimator.js';
+
+describe('Estimator', () => {
+    const money = value => I18n.formatCurrency(value, 'MXN');
+    const text = id => document.getElementById(id).textContent;
+
+    /**
+     * Fieldset of a treatment
+     * @param {string} id - Service id
+     * @returns {HTMLElement}
+     */
+    const treatment = id => document.querySelector(`#estimator-services [data-service="${id}"]`);
+
+    /**
+     * Check an area the way clicking does
+     * @param {string} id - Service id
+     * @param {number} index - Area index in the catalog prices
+     */
+    const pick = (id, index) => treatment(id).querySelector(`[data-area="${index}"]`).click();
+
+    /**
+     * Type a session count
+     * @param {string} id - Service id
+     * @param {number|string} value - Sessions
+     */
+    const setSessions = (id, value) => {
+        const input = treatment(id).querySelector('[data-sessions]');
+        input.value = value;
+        input.dispatchEvent(new window.Event('input', { bubbles: true }));
+    };
+
+    beforeEach(async () => {
+        resetDom();
+        Notifications.init();
+        Services.init();
+        ContactForm.init();
+        Estimator.init();
+        await Services.ready;
+        await flush();
+    });
+
+    afterEach(() => {
+        Estimator.destroy();
+        ContactForm.destroy();
+        Services.destroy();
+        Notifications.destroy();
+        Events.handlers.clear();
+    });
+
+    it('renders a group per catalog treatment with its areas and prices', () => {
+        const groups = document.querySelectorAll('#estimator-services [data-service]');
+
+        assert.equal(groups.length, Services.catalog.length);
+        assert.match(treatment('laser').textContent, /Axilas - \$850\/sesión/);
+        assert.equal(treatment('laser').querySelector('[data-sessions]').max, String(CONFIG.estimator.maxSessions));
+        assert.match(treatment('laser').querySelector('.estimator__package').textContent, /6 sesiones.*20/);
+        assert.equal(treatment('facial').querySelector('.estimator__package').hidden, true);
+    });
+
+    it('shows the configured package on the service card', () => {
+        const price = () => document.querySelector('.service-card[data-service="laser"] .service-card__price').textContent;
+        const packages = CONFIG.estimator.packages.laser;
+        assert.equal(price(), 'Paquete 6 sesiones -20%');
+
+        CONFIG.estimator.packages.laser = [{ sessions: 8, discount: 0.25 }];
+        try {
+            Services.render();
+            assert.equal(price(), 'Paquete 8 sesiones -25%');
+        } finally {
+            CONFIG.estimator.packages.laser = packages;
+        }
+    });
+
+    it('starts empty with the attach button disabled', () => {
+        assert.equal(document.getElementById('estimator-empty').hidden, false);
+        assert.equal(document.getElementById('estimator-totals').hidden, true);
+        assert.equal(document.getElementById('estimator-attach').disabled, true);
+    });
+
+    it('updates the totals as areas and sessions change', () => {
+        pick('laser', 0);
+        pick('laser', 1);
+        setSessions('laser', 2);
+
+        assert.equal(document.getElementById('estimator-empty').hidden, true);
+        assert.equal(document.querySelectorAll('#estimator-lines li').length, 1);
+        assert.equal(text('estimator-subtotal'), money(4100));
+        assert.equal(text('estimator-total'), money(4100));
+        assert.equal(document.getElementById('estimator-discount').parentElement.hidden, true);
+        assert.equal(document.getElementById('estimator-attach').disabled, false);
+    });
+
+    it('applies the package discount from the configured sessions', () => {
+        pick('laser', 0);
+        setSessions('laser', 6);
+
+        assert.equal(text('estimator-subtotal'), money(5100));
+        assert.equal(text('estimator-discount'), `-${money(1020)}`);
+        assert.equal(text('estimator-total'), money(4080));
+        assert.equal(document.getElementById('estimator-discount').parentElement.hidden, false);
+    });
+
+    it('clamps the sessions to the configured range', () => {
+        pick('facial', 0);
+        setSessions('facial', 40);
+
+        assert.equal(Estimator.quote.lines[0].sessions, CONFIG.estimator.maxSessions);
+
+        const input = treatment('facial').querySelector('[data-sessions]');
+        input.dispatchEvent(new window.Event('change', { bubbles: true }));
+        assert.equal(input.value, String(CONFIG.estimator.maxSessions));
+    });
+
+    it('lists the installment plans the total reaches', () => {
+        pick('facial', 1);
+        assert.equal(document.querySelectorAll('#estimator-installments li').length, 0);
+
+        pick('toxina', 0);
+        const plans = Array.from(document.querySelectorAll('#estimator-installments li'), li => li.textContent);
+
+        assert.equal(plans.length, 2);
+        // 4,450 in 3 payments: the last one takes the remainder
+        assert.equal(plans[0], `3 meses sin intereses: 2 de ${money(1483)} y uno de ${money(1484)}`);
+    });
+
+    it('attaches the quote to the contact message and replaces it on the next attach', () => {
+        const attached = [];
+        Events.on('quote:attached', detail => attached.push(detail));
+        const message = ContactForm.fields.message;
+        message.value = 'Hola';
+
+        pick('laser', 0);
+        setSessions('laser', 6);
+        document.getElementById('estimator-attach').click();
+
+        assert.match(message.value, /^Hola\n\nPresupuesto estimado:\n- Depilación Láser Definitiva \(Axilas\), 6 sesiones: \$4,080\n  Incluye descuento por paquete de \$1,020\n/);
+        assert.equal(ContactForm.fields.service.value, 'laser');
+        assert.deepEqual(attached[0].services, ['laser']);
+        assert.equal(attached[0].total, 4080);
+        assert.match(document.querySelector('.toast').textContent, /Agregamos el presupuesto/);
+
+        pick('facial', 0);
+        document.getElementById('estimator-attach').click();
+
+        assert.equal(message.value.match(/Presupuesto estimado/g).length, 1);
+        assert.ok(message.value.startsWith('Hola\n\n'));
+        assert.ok(message.value.includes(money(5880)));
+    });
+
+    it('keeps the selection when the locale changes', () => {
+        pick('laser', 0);
+        I18n.setLocale('en-US', { persist: false });
+
+        try {
+            assert.equal(treatment('laser').querySelector('[data-area="0"]').checked, true);
+            assert.match(treatment('laser').textContent, /Underarms/);
+            assert.match(text('estimator-lines'), /1 session/);
+        } finally {
+            I18n.setLocale('es-MX', { persist: false });
+        }
+    });
+});
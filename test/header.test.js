@@ -0,0 +1,53 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { document, intersect, resetDom } from './helpers/dom.js';
+import { ScrollSpy } from '../js/modules/scroll-spy.js';
+import { Header } from '../js/modules/header.js';
+
+describe('Header', () => {
+    let header;
+
+    beforeEach(() => {
+        resetDom();
+        ScrollSpy.init();
+        Header.init();
+        header = document.getElementById('header');
+    });
+
+    afterEach(() => {
+        Header.destroy();
+        ScrollSpy.destroy();
+    });
+
+    it('starts unscrolled while the threshold sentinel is in view', () => {
+        intersect(ScrollSpy.sentinel, true);
+        assert.equal(header.classList.contains('scrolled'), false);
+    });
+
+    it('toggles the scrolled state as the sentinel leaves and re-enters the view', () => {
+        intersect(ScrollSpy.sentinel, false);
+        assert.equal(header.classList.contains('scrolled'), true);
+
+        intersect(ScrollSpy.sentinel, true);
+        assert.equal(header.classList.contains('scrolled'), false);
+    });
+
+    it('drops the scrolled state and stops following the scroll on destroy', () => {
+        const sentinel = ScrollSpy.sentinel;
+        intersect(sentinel, false);
+
+        Header.destroy();
+        assert.equal(header.classList.contains('scrolled'), false);
+
+        ScrollSpy.setScrolled(true);
+        assert.equal(header.classList.contains('scrolled'), false);
+    });
+
+    it('applies the current state when it initializes after the scroll spy', () => {
+        Header.destroy();
+        intersect(ScrollSpy.sentinel, false);
+
+        Header.init();
+        assert.equal(header.classList.contains('scrolled'), true);
+    });
+});
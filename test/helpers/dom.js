@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Test environment: loads index.html into jsdom and exposes
+ * its window through the globals the modules use (`document`,
+ * `localStorage`, ...). Import it before any module under test. Also
+ * stands in for the browser APIs jsdom lacks: IntersectionObserver,
+ * matchMedia and fetch (served from the repository).
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+/**
+ * Read a file relative to the repository root
+ * @param {string} path - Repository path
+ * @returns {string} File contents
+ */
+const read = path => readFileSync(new URL(`../../${path}`, import.meta.url), 'utf8');
+
+const dom = new JSDOM(read('index.html'), { url: 'http://localhost/', pretendToBeVisual: true });
+
+export const { window } = dom;
+export const { document } = window;
+
+const pageBody = document.body.innerHTML;
+
+// ============================================================================
+// INTERSECTION OBSERVER
+// ============================================================================
+
+/** @type {IntersectionObserverMock[]} Every observer created so far */
+export const observers = [];
+
+/**
+ * Records its targets; tests drive it with `intersect()`
+ */
+class IntersectionObserverMock {
+    constructor(callback, options = {}) {
+        this.callback = callback;
+        this.options = options;
+        this.targets = new Set();
+        observers.push(this);
+    }
+
+    observe(target) {
+        this.targets.add(target);
+    }
+
+    unobserve(target) {
+        this.targets.delete(target);
+    }
+
+    disconnect() {
+        this.targets.clear();
+    }
+}
+
+/**
+ * Report elements entering or leaving the view, batched per observer the
+ * way browsers deliver simultaneous changes
+ * @param {HTMLElement|HTMLElement[]} targets - Observed elements
+ * @param {boolean} [isIntersecting=true] - Whether they are in view
+ */
+export function intersect(targets, isIntersecting = true) {
+    const list = Array.isArray(targets) ? targets : [targets];
+
+    observers.forEach(observer => {
+        const entries = list
+            .filter(target => observer.targets.has(target))
+            .map(target => ({ target, isIntersecting, intersectionRatio: isIntersecting ? 1 : 0 }));
+        if (entries.length > 0) observer.callback(entries, observer);
+    });
+}
+
+// ============================================================================
+// MEDIA QUERIES
+// ============================================================================
+
+/** @type {Map<string, EventTarget>} MediaQueryList stand-ins by query */
+const mediaQueries = new Map();
+
+/**
+ * Get (creating on first use) the list for a query. Queries start
+ * unmatched.
+ * @param {string} query - Media query
+ * @returns {EventTarget} MediaQueryList stand-in
+ */
+function matchMedia(query) {
+    if (!mediaQueries.has(query)) {
+        const list = new window.EventTarget();
+        list.media = query;
+        list.matches = false;
+        mediaQueries.set(query, list);
+    }
+    return mediaQueries.get(query);
+}
+
+/**
+ * Change whether a media query matches and notify its listeners
+ * @param {string} query - Media query, e.g. '(prefers-reduced-motion: reduce)'
+ * @param {boolean} matches - New state
+ */
+export function setMedia(query, matches) {
+    const list = matchMedia(query);
+    if (list.matches === matches) return;
+
+    list.matches = matches;
+    list.dispatchEvent(new window.Event('change'));
+}
+
+// ============================================================================
+// FETCH
+// ============================================================================
+
+/**
+ * Serve same-origin requests from the repository (data/, legal/)
+ * @param {string} url - Request URL
+ * @returns {Promise<Response>}
+ */
+async function fetchFromRepo(url) {
+    const path = new URL(url, window.location.href).pathname.slice(1);
+
+    try {
+        return new Response(read(path), { status: 200 });
+    } catch (error) {
+        return new Response('', { status: 404 });
+    }
+}
+
+// ============================================================================
+// GLOBALS
+// ============================================================================
+
+window.IntersectionObserver = IntersectionObserverMock;
+window.matchMedia = matchMedia;
+window.fetch = fetchFromRepo;
+window.scrollTo = () => {};
+
+// jsdom's own classes replace Node's where both exist: jsdom only accepts
+// its own Event, AbortSignal and Blob instances
+[
+    'window', 'document', 'navigator', 'location', 'history',
+    'localStorage', 'sessionStorage', 'getComputedStyle',
+    'requestAnimationFrame', 'cancelAnimationFrame',
+    'Node', 'Element', 'HTMLElement', 'HTMLFormElement', 'HTMLInputElement', 'HTMLSelectElement', 'Option',
+    'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'FocusEvent', 'EventTarget',
+    'AbortController', 'AbortSignal', 'FormData', 'Blob', 'DOMParser',
+    'IntersectionObserver', 'matchMedia', 'fetch'
+].forEach(name => {
+    Object.defineProperty(globalThis, name, {
+        value: name === 'window' ? window : window[name],
+        configurable: true,
+        writable: true
+    });
+});
+
+/**
+ * Restore the page markup and clear storage between tests. Modules must
+ * be destroyed first so no listener outlives its elements.
+ */
+export function resetDom() {
+    document.body.innerHTML = pageBody;
+    document.body.removeAttribute('style');
+    window.localStorage.clear();
+}
+
+/**
+ * Wait for pending promise callbacks and zero-delay timers
+ * @returns {Promise<void>}
+ */
+export const flush = () => new Promise(resolve => setTimeout(resolve, 0));
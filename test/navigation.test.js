@@ -0,0 +1,81 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { window, document, resetDom } from './helpers/dom.js';
+import { ScrollSpy } from '../js/modules/scroll-spy.js';
+import { Navigation } from '../js/modules/navigation.js';
+
+describe('Navigation', () => {
+    let nav;
+    let toggle;
+
+    const pressEscape = () => document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+    beforeEach(() => {
+        resetDom();
+        ScrollSpy.init();
+        Navigation.init();
+        nav = document.getElementById('nav');
+        toggle = document.getElementById('nav-toggle');
+    });
+
+    afterEach(() => {
+        Navigation.destroy();
+        ScrollSpy.destroy();
+    });
+
+    it('opens and closes the mobile menu from the toggle', () => {
+        toggle.click();
+        assert.equal(nav.classList.contains('open'), true);
+        assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+        assert.equal(toggle.getAttribute('aria-label'), 'Cerrar menú');
+        assert.equal(document.body.style.overflow, 'hidden');
+
+        toggle.click();
+        assert.equal(nav.classList.contains('open'), false);
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+        assert.equal(toggle.getAttribute('aria-label'), 'Abrir menú');
+        assert.equal(document.body.style.overflow, '');
+    });
+
+    it('closes the menu on Escape', () => {
+        toggle.click();
+        pressEscape();
+
+        assert.equal(Navigation.isOpen, false);
+        assert.equal(nav.classList.contains('open'), false);
+    });
+
+    it('closes the menu when a link is followed', () => {
+        toggle.click();
+        Navigation.links[1].dispatchEvent(new window.MouseEvent('click', { bubbles: true, cancelable: true }));
+
+        assert.equal(Navigation.isOpen, false);
+        assert.equal(document.body.style.overflow, '');
+    });
+
+    it('marks the link of the section in view', () => {
+        ScrollSpy.setSection('servicios');
+
+        const active = Navigation.links.filter(link => link.classList.contains('active'));
+        assert.deepEqual(active.map(link => link.getAttribute('href')), ['#servicios']);
+        assert.equal(active[0].getAttribute('aria-current'), 'location');
+    });
+
+    it('keeps the previous link marked for sections without one', () => {
+        ScrollSpy.setSection('servicios');
+        ScrollSpy.setSection('reservar');
+
+        const active = Navigation.links.find(link => link.classList.contains('active'));
+        assert.equal(active.getAttribute('href'), '#servicios');
+    });
+
+    it('releases the scroll lock and stops listening on destroy', () => {
+        toggle.click();
+        Navigation.destroy();
+
+        assert.equal(document.body.style.overflow, '');
+
+        toggle.click();
+        assert.equal(nav.classList.contains('open'), false);
+    });
+});
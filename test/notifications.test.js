@@ -0,0 +1,35 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { document, resetDom } from './helpers/dom.js';
+import { Notifications } from '../js/modules/notifications.js';
+
+describe('Notifications', () => {
+    beforeEach(() => {
+        resetDom();
+        Notifications.init();
+    });
+
+    afterEach(() => {
+        Notifications.destroy();
+    });
+
+    it('shows a toast in the live region', () => {
+        const toast = Notifications.info('Hola', { duration: 0 });
+
+        assert.equal(toast.element.parentElement, document.getElementById('notifications'));
+        assert.equal(toast.element.getAttribute('role'), 'status');
+        assert.equal(Notifications.error('Error', { duration: 0 }).element.getAttribute('role'), 'alert');
+    });
+
+    it('does nothing after destroy', () => {
+        Notifications.destroy();
+        const region = document.getElementById('notifications');
+        const toast = Notifications.success('Enviado');
+
+        assert.equal(toast.element, null);
+        assert.doesNotThrow(() => toast.dismiss());
+        assert.equal(Notifications.region, null);
+        assert.equal(Notifications.controller, null);
+        assert.equal(region ? region.children.length : 0, 0);
+    });
+});
@@ -0,0 +1,118 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { window, resetDom, flush } from './helpers/dom.js';
+import { CONFIG } from '../js/config.js';
+import { Submission, SubmissionError } from '../js/modules/submission.js';
+import { Outbox } from '../js/modules/outbox.js';
+
+describe('Outbox', () => {
+    const retries = CONFIG.submission.retries;
+    const proofOfWork = CONFIG.spam.proofOfWork.enabled;
+
+    /** @type {Function[]} Settle functions of the requests in flight */
+    let pending;
+
+    /**
+     * Queue a submission for the test transport
+     * @param {Object} data - Form data
+     */
+    const queue = data => Outbox.enqueue(data, { endpoint: '/api/contact', transport: 'test' });
+
+    before(() => {
+        // One attempt per item: the retry under test is the Outbox's own
+        CONFIG.submission.retries = 0;
+        CONFIG.spam.proofOfWork.enabled = false;
+        Submission.registerTransport('test', () => new Promise((resolve, reject) => {
+            pending.push(ok => (ok ? resolve({}) : reject(new SubmissionError('Offline', { retryable: true }))));
+        }));
+    });
+
+    after(() => {
+        CONFIG.submission.retries = retries;
+        CONFIG.spam.proofOfWork.enabled = proofOfWork;
+        delete Submission.transports.test;
+    });
+
+    beforeEach(() => {
+        resetDom();
+        pending = [];
+    });
+
+    afterEach(() => {
+        Outbox.destroy();
+    });
+
+    it('keeps failed items queued and schedules a retry', async () => {
+        Outbox.init();
+        queue({ name: 'Ana' });
+        clearTimeout(Outbox.retryTimer);
+        Outbox.retryTimer = null;
+
+        const flushing = Outbox.flush();
+        await flush();
+        pending.shift()(false);
+        assert.equal(await flushing, 0);
+
+        assert.equal(Outbox.size(), 1);
+        assert.notEqual(Outbox.retryTimer, null);
+    });
+
+    it('does not re-arm the retry when destroyed while a flush is pending', async () => {
+        queue({ name: 'Ana' });
+        queue({ name: 'Luis' });
+        Outbox.init();
+        await flush();
+        assert.equal(pending.length, 1);
+
+        Outbox.destroy();
+        pending.shift()(false);
+        await flush();
+
+        assert.equal(Outbox.retryTimer, null);
+        assert.equal(Outbox.isFlushing, false);
+        // The second item was not attempted after the teardown
+        assert.equal(pending.length, 0);
+        assert.equal(Outbox.size(), 2);
+    });
+
+    it('stores no proof-of-work token and sends a new one on flush', async () => {
+        const { field, difficulty } = CONFIG.spam.proofOfWork;
+        let delivered;
+        const received = new Promise(resolve => {
+            delivered = resolve;
+        });
+        // jsdom's crypto has no SubtleCrypto; Node's does
+        const crypto = Object.getOwnPropertyDescriptor(window, 'crypto');
+        Object.defineProperty(window, 'crypto', { value: globalThis.crypto, configurable: true });
+        CONFIG.spam.proofOfWork.enabled = true;
+        CONFIG.spam.proofOfWork.difficulty = 1;
+        Submission.registerTransport('record', async data => {
+            delivered(data);
+            return {};
+        });
+
+        try {
+            Outbox.enqueue({ name: 'Ana', [field]: '1:0:stale:0' }, { endpoint: '/api/contact', transport: 'record' });
+            assert.equal(field in Outbox.read()[0].data, false);
+
+            Outbox.init();
+            const data = await received;
+
+            assert.equal(data.name, 'Ana');
+            assert.match(data[field], /^1:\d+:[0-9a-f]{16}:\d+$/);
+            assert.notEqual(data[field], '1:0:stale:0');
+        } finally {
+            Object.defineProperty(window, 'crypto', crypto);
+            CONFIG.spam.proofOfWork.enabled = false;
+            CONFIG.spam.proofOfWork.difficulty = difficulty;
+            delete Submission.transports.record;
+        }
+    });
+
+    it('does not schedule retries before init', () => {
+        queue({ name: 'Ana' });
+
+        assert.equal(Outbox.size(), 1);
+        assert.equal(Outbox.retryTimer, null);
+    });
+});
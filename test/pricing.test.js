@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPackage, priceItem, getInstallments, calculateQuote } from '../js/lib/pricing.js';
+
+describe('pricing', () => {
+    const rules = {
+        packages: {
+            laser: [
+                { sessions: 6, discount: 0.2 },
+                { sessions: 10, discount: 0.3 }
+            ]
+        },
+        installments: [
+            { months: 3, minTotal: 1500, rate: 0 },
+            { months: 12, minTotal: 6000, rate: 0.1 }
+        ]
+    };
+
+    const laser = (sessions, areas = [{ name: 'Axilas', price: 850 }]) => ({ id: 'laser', name: 'Láser', areas, sessions });
+
+    it('picks the largest package discount reached', () => {
+        assert.equal(getPackage(rules.packages.laser, 5), null);
+        assert.equal(getPackage(rules.packages.laser, 6).discount, 0.2);
+        assert.equal(getPackage(rules.packages.laser, 12).discount, 0.3);
+        assert.equal(getPackage(undefined, 12), null);
+    });
+
+    it('prices every area for every session', () => {
+        const line = priceItem(laser(2, [{ name: 'Axilas', price: 850 }, { name: 'Bikini', price: 1200 }]), rules);
+
+        assert.equal(line.perSession, 2050);
+        assert.equal(line.subtotal, 4100);
+        assert.equal(line.discount, 0);
+        assert.equal(line.total, 4100);
+    });
+
+    it('applies the package discount to the whole treatment', () => {
+        const line = priceItem(laser(6), rules);
+
+        assert.equal(line.subtotal, 5100);
+        assert.equal(line.discount, 1020);
+        assert.equal(line.total, 4080);
+        assert.deepEqual(line.package, { sessions: 6, discount: 0.2 });
+    });
+
+    it('only discounts services with a package', () => {
+        const line = priceItem({ id: 'toxina', name: 'Toxina', areas: [{ name: 'Frente', price: 5500 }], sessions: 6 }, rules);
+        assert.equal(line.discount, 0);
+    });
+
+    it('offers installment plans from their minimum total', () => {
+        assert.deepEqual(getInstallments(1000, rules.installments), []);
+        assert.deepEqual(getInstallments(1500, rules.installments), [
+            { months: 3, rate: 0, total: 1500, monthly: 500, last: 500 }
+        ]);
+        // Interest over the whole amount
+        assert.deepEqual(getInstallments(6000, rules.installments)[1], { months: 12, rate: 0.1, total: 6600, monthly: 550, last: 550 });
+        assert.deepEqual(getInstallments(0, [{ months: 3, rate: 0 }]), []);
+    });
+
+    it('makes uneven payments add up to the total', () => {
+        const [plan] = getInstallments(4450, rules.installments);
+
+        assert.deepEqual(plan, { months: 3, rate: 0, total: 4450, monthly: 1483, last: 1484 });
+        assert.equal(plan.monthly * (plan.months - 1) + plan.last, 4450);
+
+        const [, financed] = getInstallments(6001, rules.installments);
+        assert.equal(financed.total, 6601);
+        assert.equal(financed.monthly * 11 + financed.last, 6601);
+    });
+
+    it('adds up a quote, leaving out treatments without areas', () => {
+        const quote = calculateQuote([
+            laser(6),
+            { id: 'facial', name: 'Facial', areas: [{ name: 'HydraFacial', price: 1800 }], sessions: 1 },
+            { id: 'rellenos', name: 'Rellenos', areas: [], sessions: 3 }
+        ], rules);
+
+        assert.deepEqual(quote.lines.map(line => line.id), ['laser', 'facial']);
+        assert.equal(quote.subtotal, 6900);
+        assert.equal(quote.discount, 1020);
+        assert.equal(quote.total, 5880);
+        assert.deepEqual(quote.installments.map(plan => plan.months), [3]);
+    });
+});
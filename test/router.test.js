@@ -0,0 +1,40 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { window, resetDom } from './helpers/dom.js';
+import { Router } from '../js/modules/router.js';
+
+describe('Router', () => {
+    /** @type {Object[]} Parameters received by the test route */
+    let entered;
+
+    beforeEach(() => {
+        resetDom();
+        window.history.replaceState(null, '', '/');
+        entered = [];
+        Router.init();
+        Router.register('contacto', { enter: params => entered.push(Object.fromEntries(params)) });
+    });
+
+    afterEach(() => {
+        Router.destroy();
+        delete Router.handlers.contacto;
+    });
+
+    it('splits a hash into route and decoded parameters', () => {
+        const { route, params } = Router.parse('#contacto?servicio=l%C3%A1ser&nota=a+b');
+
+        assert.equal(route, 'contacto');
+        assert.equal(params.get('servicio'), 'láser');
+        assert.equal(params.get('nota'), 'a b');
+    });
+
+    it('keeps routing through a malformed escape in a shared link', () => {
+        assert.doesNotThrow(() => Router.navigate('#contacto?servicio=100%'));
+        assert.deepEqual(entered, [{ servicio: '100%' }]);
+
+        assert.equal(Router.parse('#promo%E0%A4?x=1').route, 'promo%E0%A4');
+
+        Router.navigate('#contacto?servicio=laser');
+        assert.deepEqual(entered[1], { servicio: 'laser' });
+    });
+});
@@ -0,0 +1,132 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { window, document, observers, intersect, resetDom, setMedia } from './helpers/dom.js';
+import { CONFIG } from '../js/config.js';
+import { ScrollAnimations } from '../js/modules/scroll-animations.js';
+
+describe('ScrollAnimations', () => {
+    const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+    /**
+     * Render a staggered container with cards, as the services grid does
+     * @param {number} count - Number of cards
+     * @returns {HTMLElement[]} Cards
+     */
+    const renderCards = (count) => {
+        const grid = document.getElementById('services-grid');
+        grid.innerHTML = Array.from({ length: count }, () => '<article class="service-card"></article>').join('');
+        return Array.from(grid.children);
+    };
+
+    const isVisible = el => el.classList.contains('visible');
+
+    beforeEach(() => {
+        resetDom();
+    });
+
+    afterEach(() => {
+        ScrollAnimations.destroy();
+        setMedia(REDUCED_MOTION, false);
+    });
+
+    it('observes every animated element with the configured threshold', () => {
+        ScrollAnimations.init();
+
+        const observer = observers.at(-1);
+        const animated = Array.from(document.querySelectorAll('[data-animate]'));
+
+        assert.equal(observer.options.threshold, CONFIG.animationThreshold);
+        assert.ok(animated.length > 0);
+        animated.forEach(el => assert.ok(observer.targets.has(el)));
+        assert.equal(animated.some(isVisible), false);
+    });
+
+    it('reveals an element once it enters the view, then stops observing it', () => {
+        ScrollAnimations.init();
+        const booking = document.querySelector('.booking__wrapper');
+
+        intersect(booking);
+        assert.equal(isVisible(booking), true);
+        assert.equal(observers.at(-1).targets.has(booking), false);
+
+        intersect(booking, false);
+        assert.equal(isVisible(booking), true);
+    });
+
+    it('applies the element delay until its transition ends', () => {
+        ScrollAnimations.init();
+        const about = document.querySelector('.about__content');
+
+        intersect(about);
+        assert.equal(about.style.transitionDelay, '150ms');
+
+        about.dispatchEvent(new window.Event('transitionend'));
+        assert.equal(about.style.transitionDelay, '');
+    });
+
+    it('staggers children of a container that enter together', () => {
+        ScrollAnimations.init();
+        const cards = renderCards(3);
+        ScrollAnimations.observe(cards);
+
+        intersect(cards);
+        assert.deepEqual(cards.map(card => card.style.transitionDelay), ['', '120ms', '240ms']);
+        assert.equal(cards.every(isVisible), true);
+    });
+
+    it('uses the options for elements added later without their own markup', () => {
+        ScrollAnimations.init();
+        const [card] = renderCards(1);
+
+        ScrollAnimations.observe([card], { variant: 'scale', delay: 80, replay: true });
+        assert.equal(card.dataset.animate, 'scale');
+        assert.equal(card.dataset.animateDelay, '80');
+        assert.equal(card.dataset.animateReplay, '');
+    });
+
+    it('animates replay elements again each time they re-enter', () => {
+        ScrollAnimations.init();
+        const [card] = renderCards(1);
+        card.dataset.animateReplay = '';
+        ScrollAnimations.observe([card]);
+
+        intersect(card);
+        assert.equal(isVisible(card), true);
+
+        intersect(card, false);
+        assert.equal(isVisible(card), false);
+
+        intersect(card);
+        assert.equal(isVisible(card), true);
+    });
+
+    it('reveals everything at once with reduced motion', () => {
+        setMedia(REDUCED_MOTION, true);
+        const created = observers.length;
+        ScrollAnimations.init();
+
+        assert.equal(observers.length, created);
+        assert.equal(Array.from(document.querySelectorAll('[data-animate]')).every(isVisible), true);
+        assert.equal(document.querySelector('.about__content').style.transitionDelay, '');
+    });
+
+    it('reveals everything when reduced motion turns on later', () => {
+        ScrollAnimations.init();
+
+        setMedia(REDUCED_MOTION, true);
+        assert.equal(Array.from(document.querySelectorAll('[data-animate]')).every(isVisible), true);
+        assert.equal(ScrollAnimations.observer, null);
+    });
+
+    it('stops observing on destroy and reveals later elements at once', () => {
+        ScrollAnimations.init();
+        const observer = observers.at(-1);
+
+        ScrollAnimations.destroy();
+        assert.equal(observer.targets.size, 0);
+
+        const [card] = renderCards(1);
+        ScrollAnimations.observe([card]);
+        assert.equal(isVisible(card), true);
+    });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getVisibleSlides, getPageCount, getPageStart, getPageCards, resolvePage, getPageOf } from '../js/lib/slider.js';
+
+describe('slider', () => {
+    it('shows one, two or three cards per page by breakpoint', () => {
+        assert.equal(getVisibleSlides(375), 1);
+        assert.equal(getVisibleSlides(768), 2);
+        assert.equal(getVisibleSlides(1023), 2);
+        assert.equal(getVisibleSlides(1024), 3);
+    });
+
+    it('counts at least one page', () => {
+        assert.equal(getPageCount(7, 3), 3);
+        assert.equal(getPageCount(6, 3), 2);
+        assert.equal(getPageCount(0, 3), 1);
+    });
+
+    it('aligns the last page to the end without looping', () => {
+        assert.equal(getPageStart(1, 7, 3), 3);
+        assert.equal(getPageStart(2, 7, 3), 4);
+        assert.deepEqual(getPageCards(2, 7, 3), [4, 5, 6]);
+        assert.deepEqual(getPageCards(0, 2, 3), [0, 1]);
+    });
+
+    it('wraps the last page onto the first cards when looping', () => {
+        assert.equal(getPageStart(2, 7, 3, true), 6);
+        assert.deepEqual(getPageCards(2, 7, 3, true), [6, 0, 1]);
+    });
+
+    it('wraps out-of-range pages at either end', () => {
+        assert.deepEqual(resolvePage(3, 7, 3), { page: 0, start: 0, position: 0 });
+        assert.deepEqual(resolvePage(-1, 7, 3), { page: 2, start: 4, position: 4 });
+    });
+
+    it('keeps moving onto the clones past either end when looping', () => {
+        // Forward from the last page: the clones after the last card
+        assert.deepEqual(resolvePage(3, 7, 3, true), { page: 0, start: 0, position: 7 });
+        // Back from the first page: the clones before the first card
+        assert.deepEqual(resolvePage(-1, 7, 3, true), { page: 2, start: 6, position: -1 });
+    });
+
+    it('finds the page of a card', () => {
+        assert.equal(getPageOf(0, 3), 0);
+        assert.equal(getPageOf(5, 3), 1);
+        assert.equal(getPageOf(5, 1), 5);
+    });
+});
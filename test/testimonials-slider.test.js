@@ -0,0 +1,163 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { window, document, resetDom, setMedia } from './helpers/dom.js';
+import { CONFIG } from '../js/config.js';
+import { TestimonialsSlider } from '../js/modules/testimonials-slider.js';
+
+describe('TestimonialsSlider', () => {
+    let slider;
+    let track;
+
+    /**
+     * Fill the track with cards and start the slider
+     * @param {number} count - Number of cards
+     * @param {Object} [options] - { loop }
+     */
+    const setup = (count, { loop = false } = {}) => {
+        track.innerHTML = Array.from({ length: count }, (_, i) => `<article class="testimonial-card">${i + 1}</article>`).join('');
+        if (loop) slider.dataset.loop = '';
+        TestimonialsSlider.init();
+    };
+
+    const visibleCards = () => TestimonialsSlider.cards
+        .map((card, index) => (card.getAttribute('aria-hidden') === 'false' ? index : null))
+        .filter(index => index !== null);
+
+    const dots = () => Array.from(document.querySelectorAll('#testimonials-dots [role="tab"]'));
+
+    beforeEach(() => {
+        resetDom();
+        // Desktop layout: three cards per page
+        window.innerWidth = 1280;
+        slider = document.getElementById('testimonials-slider');
+        track = document.getElementById('testimonials-track');
+        mock.timers.enable({ apis: ['setInterval'] });
+    });
+
+    afterEach(() => {
+        TestimonialsSlider.destroy();
+        mock.timers.reset();
+        setMedia('(prefers-reduced-motion: reduce)', false);
+    });
+
+    it('renders one tab per page, aligning the last page to the end', () => {
+        setup(7);
+
+        assert.equal(dots().length, 3);
+        assert.deepEqual(visibleCards(), [0, 1, 2]);
+
+        TestimonialsSlider.goToPage(2);
+        assert.deepEqual(visibleCards(), [4, 5, 6]);
+        assert.equal(dots()[2].getAttribute('aria-selected'), 'true');
+        assert.equal(dots()[2].tabIndex, 0);
+        assert.equal(dots()[0].tabIndex, -1);
+    });
+
+    it('hides the picker when every card fits on one page', () => {
+        setup(3);
+
+        assert.equal(document.getElementById('testimonials-dots').hidden, true);
+    });
+
+    it('wraps around with the previous and next buttons', () => {
+        setup(7);
+
+        document.getElementById('testimonials-prev').click();
+        assert.equal(TestimonialsSlider.currentPage, 2);
+
+        document.getElementById('testimonials-next').click();
+        assert.equal(TestimonialsSlider.currentPage, 0);
+    });
+
+    it('moves between tabs with the arrow, Home and End keys', () => {
+        setup(7);
+        const press = (target, key) => target.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+
+        press(dots()[0], 'ArrowLeft');
+        assert.equal(TestimonialsSlider.currentPage, 2);
+        assert.equal(document.activeElement, dots()[2]);
+
+        press(dots()[2], 'Home');
+        assert.equal(TestimonialsSlider.currentPage, 0);
+
+        press(dots()[0], 'End');
+        assert.equal(TestimonialsSlider.currentPage, 2);
+    });
+
+    it('shows fewer cards per page on narrow screens', () => {
+        window.innerWidth = 375;
+        setup(4);
+
+        assert.equal(dots().length, 4);
+        assert.deepEqual(visibleCards(), [0]);
+
+        TestimonialsSlider.goToSlide(2);
+        assert.deepEqual(visibleCards(), [2]);
+    });
+
+    it('rotates automatically and pauses while the pointer is inside', () => {
+        setup(7);
+
+        mock.timers.tick(CONFIG.sliderAutoplayDelay);
+        assert.equal(TestimonialsSlider.currentPage, 1);
+        assert.equal(track.getAttribute('aria-live'), 'off');
+
+        slider.dispatchEvent(new window.MouseEvent('mouseenter'));
+        mock.timers.tick(CONFIG.sliderAutoplayDelay * 2);
+        assert.equal(TestimonialsSlider.currentPage, 1);
+        assert.equal(track.getAttribute('aria-live'), 'polite');
+
+        slider.dispatchEvent(new window.MouseEvent('mouseleave'));
+        mock.timers.tick(CONFIG.sliderAutoplayDelay);
+        assert.equal(TestimonialsSlider.currentPage, 2);
+    });
+
+    it('stops and resumes rotation from the rotation control', () => {
+        setup(7);
+        const rotation = document.getElementById('testimonials-rotation');
+
+        rotation.click();
+        assert.equal(rotation.dataset.state, 'paused');
+        mock.timers.tick(CONFIG.sliderAutoplayDelay * 2);
+        assert.equal(TestimonialsSlider.currentPage, 0);
+
+        rotation.click();
+        assert.equal(rotation.dataset.state, 'playing');
+        mock.timers.tick(CONFIG.sliderAutoplayDelay);
+        assert.equal(TestimonialsSlider.currentPage, 1);
+    });
+
+    it('starts paused when the user prefers reduced motion', () => {
+        setMedia('(prefers-reduced-motion: reduce)', true);
+        setup(7);
+
+        mock.timers.tick(CONFIG.sliderAutoplayDelay * 2);
+        assert.equal(TestimonialsSlider.currentPage, 0);
+        assert.equal(document.getElementById('testimonials-rotation').dataset.state, 'paused');
+    });
+
+    it('clones the edge cards in loop mode and keeps moving forward', () => {
+        setup(7, { loop: true });
+
+        const clones = track.querySelectorAll('[data-clone]');
+        assert.equal(clones.length, 6);
+        clones.forEach(clone => assert.equal(clone.getAttribute('aria-hidden'), 'true'));
+
+        TestimonialsSlider.goToPage(2);
+        // The last page shows the seventh card, then wraps to the first two
+        assert.deepEqual(visibleCards(), [0, 1, 6]);
+
+        TestimonialsSlider.next();
+        assert.equal(TestimonialsSlider.currentPage, 0);
+        assert.deepEqual(visibleCards(), [0, 1, 2]);
+    });
+
+    it('stops rotating on destroy', () => {
+        setup(7);
+        TestimonialsSlider.destroy();
+
+        mock.timers.tick(CONFIG.sliderAutoplayDelay * 2);
+        assert.equal(TestimonialsSlider.currentPage, 0);
+        assert.equal(TestimonialsSlider.autoplayInterval, null);
+    });
+});
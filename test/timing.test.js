@@ -0,0 +1,56 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { debounce, throttle } from '../js/lib/timing.js';
+
+describe('timing', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    describe('debounce', () => {
+        it('runs once, with the last arguments, after calls stop for the wait time', () => {
+            const calls = [];
+            const debounced = debounce((...args) => calls.push(args), 100);
+
+            debounced(1);
+            mock.timers.tick(60);
+            debounced(2);
+            mock.timers.tick(60);
+            assert.deepEqual(calls, []);
+
+            mock.timers.tick(40);
+            assert.deepEqual(calls, [[2]]);
+        });
+    });
+
+    describe('throttle', () => {
+        it('runs the first call at once and ignores calls until the limit passes', () => {
+            const calls = [];
+            const throttled = throttle(value => calls.push(value), 100);
+
+            throttled('a');
+            throttled('b');
+            assert.deepEqual(calls, ['a']);
+
+            mock.timers.tick(100);
+            throttled('c');
+            assert.deepEqual(calls, ['a', 'c']);
+        });
+
+        it('keeps the calling context', () => {
+            const target = {
+                value: 42,
+                read: throttle(function() {
+                    target.seen = this.value;
+                }, 100)
+            };
+
+            target.read();
+            assert.equal(target.seen, 42);
+        });
+    });
+});
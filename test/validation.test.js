@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidEmail, isValidPhone, rules } from '../js/lib/validation.js';
+
+describe('validation', () => {
+    describe('isValidEmail', () => {
+        it('accepts addresses with a local part, domain and TLD', () => {
+            assert.equal(isValidEmail('ana@example.com'), true);
+            assert.equal(isValidEmail('ana.lopez+citas@clinica.com.mx'), true);
+        });
+
+        it('rejects incomplete addresses and whitespace', () => {
+            ['ana', 'ana@', 'ana@example', '@example.com', 'ana lopez@example.com'].forEach(email => {
+                assert.equal(isValidEmail(email), false, email);
+            });
+        });
+    });
+
+    describe('isValidPhone', () => {
+        it('accepts Mexican numbers with or without country code', () => {
+            ['55 1234 5678', '(55) 1234-5678', '+52 55 1234 5678', '+52 1 55 1234 5678', '525512345678'].forEach(phone => {
+                assert.equal(isValidPhone(phone), true, phone);
+            });
+        });
+
+        it('accepts international E.164 numbers', () => {
+            assert.equal(isValidPhone('+44 20 7946 0958'), true);
+        });
+
+        it('rejects short numbers and letters', () => {
+            ['12345', '55 1234 567', '+0 123 4567 890', '55-CITA-1234'].forEach(phone => {
+                assert.equal(isValidPhone(phone), false, phone);
+            });
+        });
+    });
+
+    describe('rules', () => {
+        it('checks presence and length', () => {
+            assert.equal(rules.required(''), false);
+            assert.equal(rules.required('a'), true);
+            assert.equal(rules.minLength('a', '2'), false);
+            assert.equal(rules.minLength('ab', 2), true);
+            assert.equal(rules.maxLength('abc', 2), false);
+        });
+
+        it('anchors string patterns to the whole value', () => {
+            assert.equal(rules.pattern('ABC', '[A-Z]{3}'), true);
+            assert.equal(rules.pattern('ABCD', '[A-Z]{3}'), false);
+            assert.equal(rules.pattern('xABCx', /[A-Z]{3}/), true);
+        });
+
+        it('passes the value and field to custom validators', () => {
+            const field = { name: 'code' };
+            assert.equal(rules.custom('x', (value, received) => value === 'x' && received === field, field), true);
+        });
+    });
+});